@@ -0,0 +1,141 @@
+// ============================================
+// PLAUSIBILITY CHECKS
+// ============================================
+//
+// Every human metrics update is checked before it is applied. Impossible
+// updates (distance going backwards, faster than any athlete can move) are
+// rejected; too many of them, or a distance no one could have covered since
+// the start, disqualifies the participant. Pace/watts disagreement only flags
+// the participant for review.
+//
+// Two speed limits apply. Between updates no one moves faster than
+// BURST_SPEED. Since the start, no one covers more than BURST_SEC at burst
+// speed plus the rest of the race at SUSTAINED_SPEED: world-record sprint
+// pace is only held for about a minute.
+
+// Fastest plausible speed over a few seconds, in monitor meters per second.
+// (RowErg/SkiErg world-record sprint pace is ~1:05/500m = 7.7 m/s; BikeErg meters count double.)
+const BURST_SPEED = {
+  rower: 8.0,
+  ski: 8.0,
+  bike: 16.0
+};
+
+// Fastest plausible speed held beyond the first BURST_SEC of a race, in monitor
+// meters per second. (The RowErg 2k world record averages ~1:24/500m = 6.0 m/s,
+// SkiErg records are a little slower.)
+const SUSTAINED_SPEED = {
+  rower: 6.3,
+  ski: 6.0,
+  bike: 12.6
+};
+
+// How long burst speed may be held from the start
+const BURST_SEC = 60;
+
+// Concept2 watts formula: watts = k / (seconds per meter)^3
+const WATTS_CONSTANT = {
+  rower: 2.80,
+  ski: 2.80,
+  bike: 2.80 / 8
+};
+
+// Speed is measured over at least this long, so bursts of queued packets don't look like sprints
+const MIN_SPEED_WINDOW_SEC = 2;
+
+// Meters of slack allowed on top of the most anyone could cover since the race start
+const DISTANCE_SLACK = 50;
+
+// Relative pace/watts disagreement tolerated before flagging
+const WATTS_TOLERANCE = 0.5;
+
+// Rejected updates allowed before the participant is disqualified
+const MAX_REJECTED_UPDATES = 3;
+
+function recordViolation(participant, type, detail, now) {
+  if (!participant.violations) participant.violations = [];
+  participant.violations.push({ type, detail, at: now });
+  participant.flagged = true;
+}
+
+function disqualify(race, participant, reason, now) {
+  recordViolation(participant, 'disqualified', reason, now);
+  participant.disqualified = true;
+  participant.isFinished = true;
+  participant.finishTime = null;
+  participant.position = null;
+  console.log(`Race ${race.id}: ${participant.displayName} disqualified (${reason})`);
+}
+
+// Watts the Concept2 formula predicts for a pace in seconds per 500m
+function expectedWatts(equipmentType, pace) {
+  const k = WATTS_CONSTANT[equipmentType] || WATTS_CONSTANT.rower;
+  return k / Math.pow(pace / 500, 3);
+}
+
+// Most monitor meters anyone could cover in `elapsedSec` from the start
+function maxDistance(equipmentType, elapsedSec) {
+  const burst = BURST_SPEED[equipmentType] || BURST_SPEED.rower;
+  const sustained = SUSTAINED_SPEED[equipmentType] || SUSTAINED_SPEED.rower;
+  return burst * Math.min(elapsedSec, BURST_SEC) + sustained * Math.max(0, elapsedSec - BURST_SEC) + DISTANCE_SLACK;
+}
+
+// Returns true if the update may be applied. Records violations on the participant.
+function checkMetrics(race, participant, metrics, now) {
+  const { distance, pace, watts } = metrics || {};
+
+  if (![distance, pace, watts].every(Number.isFinite) || distance < 0 || pace < 0 || watts < 0) {
+    return reject(race, participant, 'invalid_metrics', `distance=${distance} pace=${pace} watts=${watts}`, now);
+  }
+
+  const maxSpeed = BURST_SPEED[participant.equipmentType] || BURST_SPEED.rower;
+  // Interval and normalized races track the monitor's meters separately from scored meters
+  const lastDistance = participant.rawDistance !== undefined ? participant.rawDistance : participant.distance;
+  const lastAt = participant.lastUpdateAt || race.startTime;
+
+  if (distance < lastDistance) {
+    return reject(race, participant, 'distance_backwards', `${lastDistance} -> ${distance}`, now);
+  }
+
+  const windowSec = Math.max((now - lastAt) / 1000, MIN_SPEED_WINDOW_SEC);
+  const speed = (distance - lastDistance) / windowSec;
+  if (speed > maxSpeed) {
+    return reject(race, participant, 'speed_exceeded', `${speed.toFixed(1)} m/s > ${maxSpeed} m/s`, now);
+  }
+
+  const elapsedSec = Math.max((now - race.startTime) / 1000, 0);
+  if (distance > maxDistance(participant.equipmentType, elapsedSec)) {
+    disqualify(race, participant, `${Math.round(distance)}m after ${elapsedSec.toFixed(0)}s`, now);
+    return false;
+  }
+
+  if (pace > 0 && watts > 0) {
+    const expected = expectedWatts(participant.equipmentType, pace);
+    if (Math.abs(watts - expected) / expected > WATTS_TOLERANCE) {
+      // Keep one mismatch per participant; the numbers are only for review
+      const alreadyFlagged = (participant.violations || []).some(v => v.type === 'watts_mismatch');
+      if (!alreadyFlagged) {
+        recordViolation(participant, 'watts_mismatch', `${watts}W at ${pace.toFixed(1)}s/500m (expected ~${Math.round(expected)}W)`, now);
+      }
+    }
+  }
+
+  participant.lastUpdateAt = now;
+  return true;
+}
+
+function reject(race, participant, type, detail, now) {
+  recordViolation(participant, type, detail, now);
+  participant.rejectedUpdates = (participant.rejectedUpdates || 0) + 1;
+  if (participant.rejectedUpdates >= MAX_REJECTED_UPDATES) {
+    disqualify(race, participant, `${participant.rejectedUpdates} rejected updates`, now);
+  }
+  return false;
+}
+
+module.exports = {
+  BURST_SPEED,
+  WATTS_CONSTANT,
+  checkMetrics,
+  expectedWatts
+};
@@ -0,0 +1,96 @@
+const { admin } = require('./firebase');
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+//
+// Sockets present a Firebase ID token in the handshake (`auth.token`) and
+// REST calls under /api send it as `Authorization: Bearer <token>`. The
+// verified uid is attached as `socket.user` / `req.user` and is used in place
+// of any client-supplied user id.
+//
+// The verifier is swappable (setTokenVerifier) so the server can be tested
+// without network access. Setting AUTH_DEV_TOKENS=1 accepts unsigned
+// `dev:<uid>` tokens -- never enable it in production.
+//
+// Admins are users with an `admin: true` custom claim or listed in ADMIN_UIDS.
+
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+
+// Verify with firebase-admin; resolves to { uid, displayName, email, isAdmin }
+async function firebaseVerifier(token) {
+  if (admin.apps.length === 0) {
+    throw new Error('Firebase Admin not initialized');
+  }
+  const decoded = await admin.auth().verifyIdToken(token);
+  return {
+    uid: decoded.uid,
+    displayName: decoded.name || null,
+    email: decoded.email || null,
+    isAdmin: decoded.admin === true
+  };
+}
+
+// Accepts "dev:<uid>" tokens, for local development and tests
+async function devVerifier(token) {
+  if (!token.startsWith('dev:') || token.length <= 4) {
+    throw new Error('Invalid dev token');
+  }
+  return { uid: token.slice(4), displayName: null, email: null };
+}
+
+let verifier = process.env.AUTH_DEV_TOKENS === '1' ? devVerifier : firebaseVerifier;
+
+function setTokenVerifier(fn) {
+  verifier = fn;
+}
+
+async function verifyToken(token) {
+  if (!token || typeof token !== 'string') {
+    throw new Error('Missing ID token');
+  }
+  const user = await verifier(token);
+  if (!user || !user.uid) {
+    throw new Error('Invalid ID token');
+  }
+  return { ...user, isAdmin: user.isAdmin === true || ADMIN_UIDS.includes(user.uid) };
+}
+
+function bearerToken(header) {
+  if (!header) return null;
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+// socket.io middleware: rejects the connection unless the handshake carries a valid token
+async function socketAuth(socket, next) {
+  const token = (socket.handshake.auth && socket.handshake.auth.token)
+    || bearerToken(socket.handshake.headers.authorization);
+  try {
+    socket.user = await verifyToken(token);
+    socket.userId = socket.user.uid;
+    next();
+  } catch (error) {
+    console.warn(`Socket ${socket.id} rejected: ${error.message}`);
+    next(new Error('unauthorized'));
+  }
+}
+
+// Express middleware: 401 unless the request carries a valid bearer token
+async function requireAuth(req, res, next) {
+  try {
+    req.user = await verifyToken(bearerToken(req.headers.authorization));
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Unauthorized', code: 'unauthorized' });
+  }
+}
+
+module.exports = {
+  setTokenVerifier,
+  devVerifier,
+  firebaseVerifier,
+  verifyToken,
+  socketAuth,
+  requireAuth
+};
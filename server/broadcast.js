@@ -0,0 +1,158 @@
+// ============================================
+// RACE BROADCASTS
+// ============================================
+//
+// Metrics updates only change the race in memory; the race loop broadcasts
+// once per tick. Each tick sends the fields that changed since the previous
+// one as a `raceDelta`, numbered with a per-race sequence number. Every
+// SNAPSHOT_EVERY ticks the full race goes out as `raceUpdate` instead.
+//
+// Deltas carry absolute values, not increments. A client applies a delta only
+// if its seq is one past the last it applied; on a gap it asks for a resync
+// (`resyncRace`) and gets the current full race with the current seq.
+//
+// The last seq sent is kept on the race (`race.seq`) so it survives in the
+// shared store: any instance can answer a resync, and a stream picks up
+// where it left off.
+//
+// Only the participant's public fields go out, in snapshots and deltas alike,
+// and in every other race the server sends or returns (publicRace); the
+// anti-cheat, simulation and interval bookkeeping kept on a participant stays
+// on the server.
+
+// Ticks between full snapshots
+const SNAPSHOT_EVERY = parseInt(process.env.RACE_SNAPSHOT_TICKS, 10) || 10;
+
+// Top-level race fields that change while racing
+const RACE_FIELDS = ['status', 'startTime', 'finishedCount', 'currentInterval', 'phase', 'phaseStartTime'];
+
+// Participant fields clients see
+const PARTICIPANT_FIELDS = [
+  'id', 'oderId', 'displayName', 'walletAddress', 'equipmentType',
+  'isBot', 'isGhost', 'botDifficulty', 'botPacing', 'paceBoat',
+  'distance', 'pace', 'watts', 'strokeRate', 'rawDistance', 'rawPace',
+  'isFinished', 'finishTime', 'position', 'disconnected', 'dnf', 'flagged', 'disqualified',
+  'intervals', 'intervalDistance', 'repFinished',
+  'rating', 'ratingChange', 'payout'
+];
+
+// raceId -> { seq, ticks, race: last sent race fields, participants: oderId -> last sent fields }
+const streams = new Map();
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Copy of the fields we diff against; nested arrays are copied so later pushes show up as changes
+function copyFields(source, keys) {
+  const copy = {};
+  for (const key of keys) {
+    const value = source[key];
+    copy[key] = value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+  return copy;
+}
+
+// Fields of `current` that differ from `previous`, or null if none do
+function changedFields(current, previous, keys) {
+  let changes = null;
+  for (const key of keys) {
+    if (!sameValue(current[key], previous[key])) {
+      changes = changes || {};
+      changes[key] = current[key];
+    }
+  }
+  return changes;
+}
+
+// Public fields of a participant, skipping those it doesn't have
+function publicParticipant(p) {
+  const copy = {};
+  for (const key of PARTICIPANT_FIELDS) {
+    if (p[key] !== undefined) copy[key] = p[key];
+  }
+  return copy;
+}
+
+// The race as clients see it
+function publicRace(race) {
+  return { ...race, participants: race.participants.map(publicParticipant) };
+}
+
+function getStream(race) {
+  let stream = streams.get(race.id);
+  if (!stream) {
+    stream = { seq: race.seq || 0, ticks: 0, race: {}, participants: new Map() };
+    streams.set(race.id, stream);
+  }
+  return stream;
+}
+
+function remember(stream, race) {
+  stream.race = copyFields(race, RACE_FIELDS);
+  stream.participants = new Map(race.participants.map(p => [p.oderId, copyFields(p, PARTICIPANT_FIELDS)]));
+}
+
+// Full race with the current seq, for a client that fell behind
+function currentSnapshot(race) {
+  const stream = streams.get(race.id);
+  return { ...publicRace(race), seq: stream ? stream.seq : race.seq || 0 };
+}
+
+function snapshot(race) {
+  const stream = getStream(race);
+  stream.seq++;
+  remember(stream, race);
+  return { ...publicRace(race), seq: stream.seq };
+}
+
+// Changes since the last tick, or null if nothing changed
+function delta(race) {
+  const stream = getStream(race);
+  const raceChanges = changedFields(race, stream.race, RACE_FIELDS);
+  const participants = [];
+  for (const p of race.participants) {
+    const changes = changedFields(p, stream.participants.get(p.oderId) || {}, PARTICIPANT_FIELDS);
+    if (changes) participants.push({ oderId: p.oderId, ...changes });
+  }
+  if (!raceChanges && participants.length === 0) return null;
+
+  stream.seq++;
+  remember(stream, race);
+  return {
+    raceId: race.id,
+    seq: stream.seq,
+    ...(raceChanges && { race: raceChanges }),
+    participants
+  };
+}
+
+// What to send this tick: { event: 'raceUpdate', payload } for a snapshot,
+// { event: 'raceDelta', payload } for changes, or null when nothing changed
+function tick(race) {
+  const stream = getStream(race);
+  const isSnapshot = stream.ticks % SNAPSHOT_EVERY === 0;
+  stream.ticks++;
+  let message = null;
+  if (isSnapshot) {
+    message = { event: 'raceUpdate', payload: snapshot(race) };
+  } else {
+    const changes = delta(race);
+    if (changes) message = { event: 'raceDelta', payload: changes };
+  }
+  race.seq = stream.seq;
+  return message;
+}
+
+function endStream(raceId) {
+  streams.delete(raceId);
+}
+
+module.exports = {
+  publicRace,
+  tick,
+  currentSnapshot,
+  endStream
+};
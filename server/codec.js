@@ -0,0 +1,182 @@
+// ============================================
+// BINARY RACE FRAMES
+// ============================================
+//
+// Compact frames for the two high-frequency paths, for clients that connect
+// with `auth: { encoding: 'binary' }`. Everything else stays JSON.
+//
+// Races and participants are referred to by number: `raceKey` (u32, sent with
+// raceStarted) and the participant's index in `participantIndex`, the list of
+// oderIds sent once with raceStarted.
+//
+// All numbers little-endian.
+//
+//   metrics upload (client -> server, `raceUpdateBinary`), 17 bytes
+//     u8 FRAME_METRICS, u32 raceKey, f32 distance, f32 pace, f32 watts
+//
+//   race delta (server -> client, `raceDeltaBinary`), 10 + 18 bytes per participant
+//     u8 FRAME_DELTA, u32 raceKey, u32 seq, u8 count, then per participant:
+//     u8 index, u8 flags, f32 distance, f32 pace, u16 watts,
+//     u8 position (0 = none), u8 strokeRate (0 = none),
+//     u32 finishTime in ms (NO_FINISH_TIME = none)
+//
+// A delta record carries the participant's full live state, not just the
+// changed fields. A tick whose changes don't fit this record (race fields,
+// interval results) goes to binary clients as the JSON raceDelta.
+
+const ENCODINGS = ['json', 'binary'];
+
+const FRAME_METRICS = 1;
+const FRAME_DELTA = 2;
+
+const METRICS_FRAME_SIZE = 17;
+const DELTA_HEADER_SIZE = 10;
+const DELTA_RECORD_SIZE = 18;
+
+const NO_FINISH_TIME = 0xffffffff;
+
+// Bit per boolean participant field
+const FLAGS = {
+  isFinished: 1,
+  disconnected: 2,
+  dnf: 4,
+  disqualified: 8,
+  flagged: 16
+};
+
+// Fields carried by a delta record
+const RECORD_FIELDS = ['distance', 'pace', 'watts', 'position', 'strokeRate', 'finishTime', ...Object.keys(FLAGS)];
+
+// Raw monitor figures binary clients don't need between snapshots
+const SKIPPED_FIELDS = ['rawDistance', 'rawPace', 'intervalDistance'];
+
+// Encoding a client asked for in the handshake; JSON unless it asked for binary
+function negotiateEncoding(handshakeAuth) {
+  const requested = handshakeAuth && handshakeAuth.encoding;
+  return ENCODINGS.includes(requested) ? requested : 'json';
+}
+
+// Stable u32 key for a race, from its uuid
+function raceKeyFor(raceId) {
+  return parseInt(raceId.replace(/-/g, '').slice(0, 8), 16) >>> 0;
+}
+
+function participantIndex(race) {
+  return race.participants.map(p => p.oderId);
+}
+
+function encodeMetrics(raceKey, metrics) {
+  const buffer = Buffer.alloc(METRICS_FRAME_SIZE);
+  buffer.writeUInt8(FRAME_METRICS, 0);
+  buffer.writeUInt32LE(raceKey, 1);
+  buffer.writeFloatLE(metrics.distance, 5);
+  buffer.writeFloatLE(metrics.pace, 9);
+  buffer.writeFloatLE(metrics.watts, 13);
+  return buffer;
+}
+
+// Returns { raceKey, metrics }, or null if the frame is malformed
+function decodeMetrics(frame) {
+  const buffer = toBuffer(frame);
+  if (!buffer || buffer.length !== METRICS_FRAME_SIZE || buffer.readUInt8(0) !== FRAME_METRICS) {
+    return null;
+  }
+  return {
+    raceKey: buffer.readUInt32LE(1),
+    metrics: {
+      distance: buffer.readFloatLE(5),
+      pace: buffer.readFloatLE(9),
+      watts: buffer.readFloatLE(13)
+    }
+  };
+}
+
+// Binary frame for a raceDelta (see broadcast.js), or null if the delta doesn't fit
+function encodeDelta(race, delta) {
+  if (delta.race) return null;
+  const fits = delta.participants.every(changes => Object.keys(changes).every(key =>
+    key === 'oderId' || RECORD_FIELDS.includes(key) || SKIPPED_FIELDS.includes(key)));
+  if (!fits) return null;
+
+  const records = delta.participants
+    .map(changes => race.participants.findIndex(p => p.oderId === changes.oderId))
+    .filter(index => index >= 0 && index <= 0xff);
+
+  const buffer = Buffer.alloc(DELTA_HEADER_SIZE + records.length * DELTA_RECORD_SIZE);
+  buffer.writeUInt8(FRAME_DELTA, 0);
+  buffer.writeUInt32LE(race.raceKey, 1);
+  buffer.writeUInt32LE(delta.seq, 5);
+  buffer.writeUInt8(records.length, 9);
+
+  records.forEach((index, i) => {
+    const p = race.participants[index];
+    const offset = DELTA_HEADER_SIZE + i * DELTA_RECORD_SIZE;
+    const flags = Object.entries(FLAGS).reduce((bits, [field, bit]) => (p[field] ? bits | bit : bits), 0);
+    buffer.writeUInt8(index, offset);
+    buffer.writeUInt8(flags, offset + 1);
+    buffer.writeFloatLE(p.distance || 0, offset + 2);
+    buffer.writeFloatLE(p.pace || 0, offset + 6);
+    buffer.writeUInt16LE(clamp(Math.round(p.watts || 0), 0xffff), offset + 10);
+    buffer.writeUInt8(clamp(p.position || 0, 0xff), offset + 12);
+    buffer.writeUInt8(clamp(Math.round(p.strokeRate || 0), 0xff), offset + 13);
+    buffer.writeUInt32LE(p.finishTime === null || p.finishTime === undefined
+      ? NO_FINISH_TIME
+      : clamp(Math.round(p.finishTime), NO_FINISH_TIME - 1), offset + 14);
+  });
+
+  return buffer;
+}
+
+// Inverse of encodeDelta, for clients and tests: { raceKey, seq, participants: [{ index, ...fields }] }
+function decodeDelta(frame) {
+  const buffer = toBuffer(frame);
+  if (!buffer || buffer.length < DELTA_HEADER_SIZE || buffer.readUInt8(0) !== FRAME_DELTA) return null;
+
+  const count = buffer.readUInt8(9);
+  if (buffer.length !== DELTA_HEADER_SIZE + count * DELTA_RECORD_SIZE) return null;
+
+  const participants = [];
+  for (let i = 0; i < count; i++) {
+    const offset = DELTA_HEADER_SIZE + i * DELTA_RECORD_SIZE;
+    const flags = buffer.readUInt8(offset + 1);
+    const position = buffer.readUInt8(offset + 12);
+    const strokeRate = buffer.readUInt8(offset + 13);
+    const finishTime = buffer.readUInt32LE(offset + 14);
+    const record = {
+      index: buffer.readUInt8(offset),
+      distance: buffer.readFloatLE(offset + 2),
+      pace: buffer.readFloatLE(offset + 6),
+      watts: buffer.readUInt16LE(offset + 10),
+      position: position || null,
+      strokeRate: strokeRate || null,
+      finishTime: finishTime === NO_FINISH_TIME ? null : finishTime
+    };
+    for (const [field, bit] of Object.entries(FLAGS)) {
+      record[field] = (flags & bit) !== 0;
+    }
+    participants.push(record);
+  }
+
+  return { raceKey: buffer.readUInt32LE(1), seq: buffer.readUInt32LE(5), participants };
+}
+
+function clamp(value, max) {
+  return Math.min(Math.max(value, 0), max);
+}
+
+function toBuffer(frame) {
+  if (Buffer.isBuffer(frame)) return frame;
+  if (frame instanceof ArrayBuffer) return Buffer.from(frame);
+  if (ArrayBuffer.isView(frame)) return Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength);
+  return null;
+}
+
+module.exports = {
+  negotiateEncoding,
+  raceKeyFor,
+  participantIndex,
+  encodeMetrics,
+  decodeMetrics,
+  encodeDelta,
+  decodeDelta
+};
@@ -0,0 +1,240 @@
+const { ethers } = require('ethers');
+const payouts = require('./payouts');
+
+// ============================================
+// ESCROW
+// ============================================
+//
+// Entry fees of paid lobbies are held by the RaceEscrow contract
+// (Contracts/RaceEscrow.sol), whose owner is this server's wallet. A paid
+// lobby goes through the contract's owner-only calls as its status changes:
+//
+//   createRace         when the lobby is created, so racers can deposit
+//   distributePrizes   once the race completes, with the winners' wallets in
+//                      finishing order
+//   cancelRace         when the lobby is abandoned (or the race completes
+//                      with no one to pay), refunding every deposit
+//
+// Each call's progress is kept on the lobby, in `escrow.calls.<name>`:
+// { status, attempts, txHashes, lastError, nextAttemptAt, updatedAt }, with
+// status 'retrying', 'sent', 'confirmed' or 'failed'. A failed attempt is
+// retried with backoff; after `maxAttempts` the call is given up as 'failed'.
+//
+// The contract's state is read before every attempt, and a call it shows
+// already went through (e.g. sent before a crash) is confirmed without
+// sending it again.
+//
+// Racers pay their entry fee with the contract's `deposit`. The service also
+// reads which wallets have deposited, reports `Deposited` events, and reads
+// the platform fee the contract takes from prizes. Confirmed deposits are
+// recorded in `escrow.deposits`, { oderId, walletAddress, confirmedAt } each,
+// and stay there when the racer leaves: the contract keeps their fee in the
+// pool until it pays out or refunds the race.
+
+const ESCROW_ABI = [
+  'function createRace(bytes32 lobbyId, uint256 entryFee, uint8 payoutMode)',
+  'function distributePrizes(bytes32 lobbyId, address[] winners)',
+  'function cancelRace(bytes32 lobbyId)',
+  'function getRace(bytes32 lobbyId) view returns (uint256 entryFee, uint256 totalPool, uint8 payoutMode, bool isActive, bool isPaidOut, uint256 participantCount)',
+  'function hasParticipantDeposited(bytes32 lobbyId, address participant) view returns (bool)',
+  'function platformFeePercent() view returns (uint256)',
+  'event Deposited(bytes32 indexed lobbyId, address indexed participant, uint256 amount)'
+];
+
+const DEFAULTS = {
+  maxAttempts: 5,
+  baseDelayMs: 2000,
+  maxDelayMs: 60000,
+  confirmations: 1
+};
+
+// The contract's id for a lobby: sha256 of the lobby id, as the app computes
+// it for deposits (WalletService.swift)
+function raceKeyFor(lobbyId) {
+  return ethers.sha256(ethers.toUtf8Bytes(lobbyId));
+}
+
+function isPaidLobby(lobby) {
+  return BigInt(lobby.entryFee || '0') > 0n;
+}
+
+// Whether the contract can take deposits from and pay out to `address`
+function isWallet(address) {
+  return ethers.isAddress(address || '');
+}
+
+// Wallets to pay, in finishing order (see payouts.prizeWinners)
+function prizeWinners(lobby) {
+  return payouts.prizeWinners(lobby, lobby.raceResults || []).map(p => ethers.getAddress(p.walletAddress));
+}
+
+// The contract call a lobby is waiting for, { name, args }, or null
+function nextCall(lobby) {
+  if (!lobby || !isPaidLobby(lobby)) return null;
+  const calls = (lobby.escrow && lobby.escrow.calls) || {};
+  const settled = name => Boolean(calls[name]) && ['confirmed', 'failed'].includes(calls[name].status);
+  const raceKey = raceKeyFor(lobby.id);
+
+  let call;
+  if (lobby.status === 'cancelled') {
+    call = { name: 'cancelRace', args: [raceKey] };
+  } else if (lobby.status === 'completed') {
+    const winners = prizeWinners(lobby);
+    call = winners.length > 0
+      ? { name: 'distributePrizes', args: [raceKey, winners] }
+      : { name: 'cancelRace', args: [raceKey] };
+  } else {
+    const payout = payouts.PAYOUT_MODES[lobby.payoutMode] || payouts.PAYOUT_MODES.winner_takes_all;
+    call = { name: 'createRace', args: [raceKey, BigInt(lobby.entryFee), payout.mode] };
+  }
+  return settled(call.name) ? null : call;
+}
+
+// Whether the contract's race state shows the call went through; throws if
+// the call can't succeed
+function isDone(name, state) {
+  if (name === 'createRace') return state.isActive || state.isPaidOut;
+  if (name === 'cancelRace') return !state.isActive;
+  if (state.isPaidOut) return true;
+  if (!state.isActive) throw new Error('Race is not active on the escrow contract');
+  return false;
+}
+
+function escrowState(lobby) {
+  return lobby.escrow || { raceKey: raceKeyFor(lobby.id), calls: {}, deposits: [] };
+}
+
+// The lobby's escrow state with one call's progress updated
+function withCall(lobby, name, call) {
+  const escrow = escrowState(lobby);
+  return { ...escrow, calls: { ...escrow.calls, [name]: { ...call, updatedAt: new Date().toISOString() } } };
+}
+
+// The lobby's escrow state with `deposits` recorded; the contract takes one
+// deposit per wallet, so a wallet already recorded is not recorded again
+function withDeposits(lobby, deposits) {
+  const escrow = escrowState(lobby);
+  const recorded = escrow.deposits || [];
+  const isNew = d => !recorded.some(r => r.walletAddress.toLowerCase() === d.walletAddress.toLowerCase());
+  return { ...escrow, deposits: [...recorded, ...deposits.filter(isNew)] };
+}
+
+// Delay before retry number `attempts`: doubling from baseDelayMs, capped
+function backoff(attempts, { baseDelayMs, maxDelayMs }) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+}
+
+// config: { rpcUrl, contractAddress, privateKey } of the contract's owner,
+// plus optional DEFAULTS overrides; escrow is disabled without all three.
+// getLobby(lobbyId): the current lobby; recordCall(lobbyId, name, call):
+// saves a call's progress on the lobby (see withCall).
+function createEscrow(config, { getLobby, recordCall }) {
+  if (!config.rpcUrl || !config.contractAddress || !config.privateKey) {
+    return {
+      enabled: false,
+      sync() {},
+      async depositedWallets() { return []; },
+      watchDeposits() {},
+      async platformFeeBps() { return null; }
+    };
+  }
+
+  const options = { ...DEFAULTS };
+  for (const [key, value] of Object.entries(config)) {
+    if (key in DEFAULTS && value !== undefined) options[key] = value;
+  }
+
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  // Nonces are counted locally, so calls for different lobbies can be sent back to back
+  const signer = new ethers.NonceManager(new ethers.Wallet(config.privateKey, provider));
+  const contract = new ethers.Contract(config.contractAddress, ESCROW_ABI, signer);
+  const running = new Set();
+
+  // One attempt at a call; true once the call is settled (confirmed or given up)
+  async function send(lobbyId, call, previous) {
+    const attempts = previous.attempts + 1;
+    const txHashes = previous.txHashes || [];
+    try {
+      const state = await contract.getRace(call.args[0]);
+      if (!isDone(call.name, state)) {
+        const tx = await contract[call.name](...call.args);
+        txHashes.push(tx.hash);
+        await recordCall(lobbyId, call.name, { status: 'sent', attempts, txHashes, lastError: previous.lastError || null, nextAttemptAt: null });
+        const receipt = await tx.wait(options.confirmations);
+        if (!receipt || receipt.status !== 1) throw new Error(`Transaction ${tx.hash} reverted`);
+      }
+      await recordCall(lobbyId, call.name, { status: 'confirmed', attempts, txHashes, lastError: null, nextAttemptAt: null });
+      console.log(`Escrow: ${call.name} confirmed for lobby ${lobbyId}`);
+      return true;
+    } catch (error) {
+      // Nonces may be out of step after a failed send
+      signer.reset();
+      const message = error.shortMessage || error.message;
+      const failed = attempts >= options.maxAttempts;
+      const nextAttemptAt = failed ? null : Date.now() + backoff(attempts, options);
+      await recordCall(lobbyId, call.name, { status: failed ? 'failed' : 'retrying', attempts, txHashes, lastError: message, nextAttemptAt });
+      console.error(`Escrow: ${call.name} for lobby ${lobbyId} failed (attempt ${attempts}${failed ? ', giving up' : ''}):`, message);
+      return failed;
+    }
+  }
+
+  async function run(lobbyId) {
+    for (;;) {
+      const lobby = await getLobby(lobbyId);
+      const call = nextCall(lobby);
+      if (!call) return;
+
+      const previous = (lobby.escrow && lobby.escrow.calls[call.name]) || { attempts: 0 };
+      if (previous.nextAttemptAt && previous.nextAttemptAt > Date.now()) return;
+      // Stop at a call that will be retried later
+      if (!(await send(lobbyId, call, previous))) return;
+    }
+  }
+
+  // Make the calls a lobby is waiting for, unless they already are being made
+  // or are waiting to be retried. Safe to call after every lobby change.
+  function sync(lobbyId) {
+    if (running.has(lobbyId)) return;
+    running.add(lobbyId);
+    run(lobbyId)
+      .catch(error => console.error(`Escrow: lobby ${lobbyId} failed:`, error.message))
+      .finally(() => running.delete(lobbyId));
+  }
+
+  // The wallets among `wallets` that have deposited the lobby's entry fee
+  async function depositedWallets(lobbyId, wallets) {
+    const raceKey = raceKeyFor(lobbyId);
+    const candidates = wallets.filter(wallet => ethers.isAddress(wallet));
+    const deposited = await Promise.all(candidates.map(wallet => contract.hasParticipantDeposited(raceKey, wallet)));
+    return candidates.filter((wallet, i) => deposited[i]);
+  }
+
+  // Calls onDeposit(raceKey, wallet) for every deposit made from now on
+  function watchDeposits(onDeposit) {
+    contract.on('Deposited', (raceKey, wallet) => onDeposit(raceKey, wallet));
+  }
+
+  // The contract's platform fee, in basis points
+  async function platformFeeBps() {
+    return Number(await contract.platformFeePercent());
+  }
+
+  return {
+    enabled: true,
+    sync,
+    depositedWallets,
+    watchDeposits,
+    platformFeeBps
+  };
+}
+
+module.exports = {
+  raceKeyFor,
+  isPaidLobby,
+  isWallet,
+  nextCall,
+  isDone,
+  withCall,
+  withDeposits,
+  createEscrow
+};
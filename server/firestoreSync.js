@@ -1,231 +1,265 @@
-const { db, admin } = require('./firebase');
-
-// Helper: returns true if Firestore is available
-function isEnabled() {
-  return db !== null;
-}
+const records = require('./persistenceRecords');
 
 // ============================================
-// LOBBY SYNC
+// FIRESTORE PERSISTENCE
 // ============================================
+//
+// Persistence backend on Firestore (see persistence.js for the interface).
+//
+//   lobbies/{id}
+//   races/{id}, with results/{oderId} and telemetry/{oderId}
+//   activeRaces/{id}      checkpoints of races not finished yet
+//   ghostTraces/{ghostId}
+//   users/{id}, with personalBests/{distance}, ratingHistory/{raceId},
+//                         earnings/{raceId} and raceStats/{raceId} (races
+//                         already counted in the user's stats)
 
-async function syncLobbyCreated(lobby) {
-  if (!isEnabled()) return;
-  try {
-    await db.collection('lobbies').doc(lobby.id).set({
-      id: lobby.id,
-      creatorId: lobby.creatorId,
-      raceDistance: lobby.raceDistance,
-      entryFee: lobby.entryFee || '0',
-      payoutMode: lobby.payoutMode || 'winner_takes_all',
-      status: lobby.status,
-      maxParticipants: lobby.maxParticipants,
-      minParticipants: lobby.minParticipants,
-      participantCount: lobby.participants.length,
-      createdAt: lobby.createdAt,
-      completedAt: null,
-      raceId: null
-    });
+function createFirestoreAdapter(db, admin) {
+  const lobbies = db.collection('lobbies');
+  const races = db.collection('races');
+  const activeRaces = db.collection('activeRaces');
+  const ghostTraces = db.collection('ghostTraces');
+  const users = db.collection('users');
+
+  // ---- lobbies ----
+
+  async function syncLobbyCreated(lobby) {
+    await lobbies.doc(lobby.id).set(records.lobbyRecord(lobby));
     console.log(`Firestore: lobby ${lobby.id} created`);
-  } catch (error) {
-    console.error(`Firestore: failed to sync lobby created:`, error.message);
   }
-}
 
-async function syncLobbyStatusUpdate(lobbyId, status, participantCount) {
-  if (!isEnabled()) return;
-  try {
-    await db.collection('lobbies').doc(lobbyId).update({
-      status,
-      participantCount
-    });
-    console.log(`Firestore: lobby ${lobbyId} updated -> status=${status}, participants=${participantCount}`);
-  } catch (error) {
-    console.error(`Firestore: failed to sync lobby status update:`, error.message);
+  async function syncLobbyUpdated(lobby) {
+    await lobbies.doc(lobby.id).set(records.lobbyStateChange(lobby), { merge: true });
+    console.log(`Firestore: lobby ${lobby.id} updated -> status=${lobby.status}, participants=${lobby.participants.length}`);
   }
-}
 
-async function syncLobbyCompleted(lobby) {
-  if (!isEnabled()) return;
-  try {
-    await db.collection('lobbies').doc(lobby.id).update({
-      status: 'completed',
-      raceId: lobby.raceId || null,
-      completedAt: new Date().toISOString()
-    });
+  async function syncLobbyCompleted(lobby) {
+    await lobbies.doc(lobby.id).update(records.lobbyCompletedChange(lobby));
     console.log(`Firestore: lobby ${lobby.id} completed`);
-  } catch (error) {
-    console.error(`Firestore: failed to sync lobby completed:`, error.message);
   }
-}
 
-// ============================================
-// RACE SYNC
-// ============================================
+  async function loadOpenLobbies() {
+    const snapshot = await lobbies.where('status', 'in', records.OPEN_LOBBY_STATUSES).get();
+    const recovered = [];
+    snapshot.forEach(doc => recovered.push(records.recoveredLobby(doc.data())));
+    console.log(`Firestore: recovered ${recovered.length} open lobbies`);
+    return recovered;
+  }
 
-async function syncRaceCompleted(race) {
-  if (!isEnabled()) return;
-  try {
-    // Write the race document
-    const raceRef = db.collection('races').doc(race.id);
-    await raceRef.set({
-      id: race.id,
-      lobbyId: race.lobbyId,
-      targetDistance: race.targetDistance,
-      status: race.status,
-      startTime: race.startTime,
-      completedAt: new Date().toISOString(),
-      finishedCount: race.finishedCount
-    });
+  async function syncGhostTrace(ghostId, trace) {
+    await ghostTraces.doc(ghostId).set({ ghostId, samples: trace });
+  }
+
+  async function getGhostTrace(ghostId) {
+    const doc = await ghostTraces.doc(ghostId).get();
+    return doc.exists ? doc.data().samples : null;
+  }
+
+  async function deleteGhostTrace(ghostId) {
+    await ghostTraces.doc(ghostId).delete();
+  }
+
+  // ---- races ----
+
+  async function syncRaceCompleted(race) {
+    const raceRef = races.doc(race.id);
+    await raceRef.set(records.completedRaceRecord(race));
 
     // Batch write results as subcollection
     const batch = db.batch();
     for (const p of race.participants) {
-      const resultRef = raceRef.collection('results').doc(p.oderId);
-      batch.set(resultRef, {
-        oderId: p.oderId,
-        displayName: p.displayName,
-        walletAddress: p.walletAddress || '',
-        equipmentType: p.equipmentType,
-        position: p.position || null,
-        finishTime: p.finishTime || null,
-        distance: p.distance,
-        pace: p.pace,
-        watts: p.watts,
-        isBot: p.isBot || false,
-        isFinished: p.isFinished
-      });
+      batch.set(raceRef.collection('results').doc(p.oderId), records.resultRecord(p));
     }
     await batch.commit();
+    await activeRaces.doc(race.id).delete();
     console.log(`Firestore: race ${race.id} synced with ${race.participants.length} results`);
-  } catch (error) {
-    console.error(`Firestore: failed to sync race completed:`, error.message);
   }
-}
 
-// ============================================
-// USER STATS
-// ============================================
+  async function syncRaceCancelled(race, lobby) {
+    await races.doc(race.id).set(records.cancelledRaceRecord(race, lobby));
+    await activeRaces.doc(race.id).delete();
+    console.log(`Firestore: race ${race.id} ${race.status}`);
+  }
 
-async function updateUserStats(race) {
-  if (!isEnabled()) return;
-  try {
-    for (const p of race.participants) {
-      if (p.isBot) continue; // Skip bots
+  async function syncRaceSnapshot(race) {
+    await activeRaces.doc(race.id).set(records.raceSnapshotRecord(race));
+  }
+
+  async function loadActiveRaces() {
+    const snapshot = await activeRaces.get();
+    const recovered = [];
+    snapshot.forEach(doc => recovered.push(doc.data()));
+    console.log(`Firestore: recovered ${recovered.length} active races`);
+    return recovered;
+  }
+
+  // Store each participant's sample stream in the race's telemetry subcollection
+  async function syncRaceTelemetry(raceId, timeline) {
+    if (!timeline) return;
+    const raceRef = races.doc(raceId);
+    const batch = db.batch();
+    for (const [oderId, samples] of Object.entries(timeline)) {
+      batch.set(raceRef.collection('telemetry').doc(oderId), { oderId, samples });
+    }
+    await batch.commit();
+    console.log(`Firestore: race ${raceId} telemetry synced`);
+  }
+
+  // Load a finished race with its results and telemetry for replay
+  async function getRaceReplay(raceId) {
+    const raceRef = races.doc(raceId);
+    const doc = await raceRef.get();
+    if (!doc.exists) return null;
+
+    const [resultsSnapshot, telemetrySnapshot] = await Promise.all([
+      raceRef.collection('results').get(),
+      raceRef.collection('telemetry').get()
+    ]);
 
-      const userRef = db.collection('users').doc(p.oderId);
-      const updateData = {
-        totalRaces: admin.firestore.FieldValue.increment(1),
-        lastActive: new Date().toISOString()
-      };
+    const participants = [];
+    resultsSnapshot.forEach(result => participants.push(result.data()));
 
-      if (p.position === 1) {
-        updateData.totalWins = admin.firestore.FieldValue.increment(1);
+    const timeline = {};
+    telemetrySnapshot.forEach(entry => {
+      const data = entry.data();
+      timeline[data.oderId] = data.samples || [];
+    });
+
+    console.log(`Firestore: race ${raceId} replay fetched`);
+    return { race: { ...doc.data(), participants }, timeline };
+  }
+
+  // ---- users ----
+
+  // Counters, rating, rating history and the raceStats marker are written in one
+  // transaction, so a retry either finds the marker and stops or applies all.
+  async function applyUserRaceStats(userId, raceId, { totalRaces, totalWins, rating }) {
+    const { increment } = admin.firestore.FieldValue;
+    const userRef = users.doc(userId);
+    const markerRef = userRef.collection('raceStats').doc(raceId);
+
+    const applied = await db.runTransaction(async transaction => {
+      const [marker, user] = await Promise.all([transaction.get(markerRef), transaction.get(userRef)]);
+      if (marker.exists) return false;
+
+      const updateData = { totalRaces: increment(totalRaces), lastActive: records.now() };
+      if (totalWins) updateData.totalWins = increment(totalWins);
+      if (rating) {
+        const entry = records.ratingHistoryRecord(rating, user.exists ? user.data() : null);
+        updateData.skillRating = entry.ratingAfter;
+        transaction.set(userRef.collection('ratingHistory').doc(raceId), entry);
       }
+      transaction.set(userRef, updateData, { merge: true });
+      transaction.set(markerRef, { raceId, appliedAt: records.now() });
+      return true;
+    });
+    if (applied) console.log(`Firestore: user ${userId} stats updated for race ${raceId}`);
+  }
 
-      await userRef.set(updateData, { merge: true });
-      console.log(`Firestore: user ${p.oderId} stats updated (position=${p.position})`);
+  // The ledger entry doubles as the marker. totalEarnings is a wei string, too
+  // large for increment(), so it is read and rewritten in the same transaction.
+  async function applyUserEarnings(userId, raceId, earnings) {
+    const userRef = users.doc(userId);
+    const entryRef = userRef.collection('earnings').doc(raceId);
+
+    const applied = await db.runTransaction(async transaction => {
+      const [existing, user] = await Promise.all([transaction.get(entryRef), transaction.get(userRef)]);
+      if (existing.exists) return false;
+
+      const entry = records.earningsRecord(earnings, user.exists ? user.data() : null);
+      transaction.set(entryRef, entry);
+      transaction.set(userRef, { totalEarnings: entry.totalAfter }, { merge: true });
+      return true;
+    });
+    if (applied) console.log(`Firestore: user ${userId} credited ${earnings.amount} wei for race ${raceId}`);
+  }
+
+  // Newest first
+  async function getRatingHistory(userId, limit) {
+    const snapshot = await users.doc(userId).collection('ratingHistory')
+      .orderBy('ratedAt', 'desc')
+      .limit(limit)
+      .get();
+    const history = [];
+    snapshot.forEach(doc => history.push(doc.data()));
+    return history;
+  }
+
+  // Newest first
+  async function getEarnings(userId, limit) {
+    const snapshot = await users.doc(userId).collection('earnings')
+      .orderBy('earnedAt', 'desc')
+      .limit(limit)
+      .get();
+    const entries = [];
+    snapshot.forEach(doc => entries.push(doc.data()));
+    return entries;
+  }
+
+  // Record finished distance races as PBs when faster
+  async function updatePersonalBests(race) {
+    for (const p of records.personalBestCandidates(race)) {
+      const pbRef = users.doc(p.oderId).collection('personalBests').doc(String(race.targetDistance));
+      const doc = await pbRef.get();
+      if (!records.isNewPersonalBest(doc.exists ? doc.data() : null, p)) continue;
+
+      await pbRef.set(records.personalBestRecord(race, p));
+      console.log(`Firestore: user ${p.oderId} new ${race.targetDistance}m PB (${p.finishTime}ms)`);
     }
-  } catch (error) {
-    console.error(`Firestore: failed to update user stats:`, error.message);
   }
-}
 
-// ============================================
-// USER PROFILE
-// ============================================
+  async function getPersonalBest(userId, distance) {
+    const doc = await users.doc(userId).collection('personalBests').doc(String(distance)).get();
+    return doc.exists ? doc.data() : null;
+  }
 
-async function saveUserProfile(userId, profileData) {
-  if (!isEnabled()) return null;
-  try {
-    const userRef = db.collection('users').doc(userId);
-    const data = {
-      id: userId,
-      displayName: profileData.displayName || 'Rower',
-      lastActive: new Date().toISOString()
-    };
-
-    if (profileData.email) data.email = profileData.email;
-    if (profileData.walletAddress) data.walletAddress = profileData.walletAddress;
-
-    // Set defaults for new users, merge for existing
-    await userRef.set({
-      skillRating: 1500,
-      totalRaces: 0,
-      totalWins: 0,
-      totalEarnings: '0',
-      createdAt: new Date().toISOString(),
-      ...data
-    }, { merge: true });
+  async function saveUserProfile(userId, profileData) {
+    const userRef = users.doc(userId);
+    const existing = await userRef.get();
+    await userRef.set(records.profileChange(userId, profileData, existing.exists ? existing.data() : null), { merge: true });
 
     const doc = await userRef.get();
     console.log(`Firestore: user profile ${userId} saved`);
     return doc.data();
-  } catch (error) {
-    console.error(`Firestore: failed to save user profile:`, error.message);
-    return null;
   }
-}
 
-async function getUserProfile(userId) {
-  if (!isEnabled()) return null;
-  try {
-    const doc = await db.collection('users').doc(userId).get();
+  async function getUserProfile(userId) {
+    const doc = await users.doc(userId).get();
     if (!doc.exists) {
       console.log(`Firestore: user profile ${userId} not found`);
       return null;
     }
     console.log(`Firestore: user profile ${userId} fetched`);
     return doc.data();
-  } catch (error) {
-    console.error(`Firestore: failed to get user profile:`, error.message);
-    return null;
   }
-}
 
-// ============================================
-// LOBBY RECOVERY
-// ============================================
-
-async function loadWaitingLobbies() {
-  if (!isEnabled()) return [];
-  try {
-    const snapshot = await db.collection('lobbies')
-      .where('status', '==', 'waiting')
-      .get();
-
-    const lobbies = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      lobbies.push({
-        id: data.id,
-        creatorId: data.creatorId,
-        raceDistance: data.raceDistance,
-        entryFee: data.entryFee || '0',
-        payoutMode: data.payoutMode || 'winner_takes_all',
-        status: 'waiting',
-        maxParticipants: data.maxParticipants || 10,
-        minParticipants: data.minParticipants || 2,
-        createdAt: data.createdAt,
-        participants: [] // Socket.IO connections are lost on restart
-      });
-    });
-
-    console.log(`Firestore: recovered ${lobbies.length} waiting lobbies`);
-    return lobbies;
-  } catch (error) {
-    console.error(`Firestore: failed to load waiting lobbies:`, error.message);
-    return [];
-  }
+  return {
+    backend: 'firestore',
+    label: 'Firestore',
+    syncLobbyCreated,
+    syncLobbyUpdated,
+    syncLobbyCompleted,
+    loadOpenLobbies,
+    syncGhostTrace,
+    getGhostTrace,
+    deleteGhostTrace,
+    syncRaceCompleted,
+    syncRaceCancelled,
+    syncRaceSnapshot,
+    loadActiveRaces,
+    syncRaceTelemetry,
+    getRaceReplay,
+    applyUserRaceStats,
+    getRatingHistory,
+    applyUserEarnings,
+    getEarnings,
+    updatePersonalBests,
+    getPersonalBest,
+    saveUserProfile,
+    getUserProfile
+  };
 }
 
 module.exports = {
-  syncLobbyCreated,
-  syncLobbyStatusUpdate,
-  syncLobbyCompleted,
-  syncRaceCompleted,
-  updateUserStats,
-  saveUserProfile,
-  getUserProfile,
-  loadWaitingLobbies
+  createFirestoreAdapter
 };
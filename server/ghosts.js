@@ -0,0 +1,166 @@
+const persistence = require('./persistence');
+const normalization = require('./normalization');
+
+// ============================================
+// GHOST RACING
+// ============================================
+//
+// A ghost replays a recorded performance: the user's PB, another athlete's
+// result in a past race, or an uploaded trace. Its position at every tick is
+// interpolated from the recorded samples. Traces are kept here, keyed by the
+// ghost's participant id, so they are never broadcast with the lobby or race.
+
+// ghostId -> [{ t, distance, pace, watts }], distance and pace in monitor meters
+const traces = new Map();
+
+// Validate and sort uploaded samples. Returns null if unusable.
+function normalizeTrace(samples) {
+  if (!Array.isArray(samples)) return null;
+
+  const trace = samples
+    .filter(s => s && Number.isFinite(Number(s.t)) && Number.isFinite(Number(s.distance)))
+    .map(s => ({
+      t: Number(s.t),
+      distance: Number(s.distance),
+      pace: Number(s.pace) || 0,
+      watts: Number(s.watts) || 0
+    }))
+    .sort((a, b) => a.t - b.t);
+
+  if (trace.length < 2) return null;
+
+  // Start the trace on the line
+  if (trace[0].t > 0) {
+    trace.unshift({ t: 0, distance: 0, pace: trace[0].pace, watts: trace[0].watts });
+  }
+  return trace;
+}
+
+// Load the samples and display name of a participant in a finished race, from persistence.
+// A normalized race recorded rower meters; they go back to the participant's monitor meters.
+async function loadRaceTrace(raceId, oderId) {
+  const stored = await persistence.getRaceReplay(raceId);
+  if (!stored) return null;
+  const participant = stored.race.participants.find(p => p.oderId === oderId);
+  if (!participant) return null;
+  const factor = normalization.raceFactor(stored.race, participant);
+  const trace = stored.timeline[oderId] && stored.timeline[oderId].map(s => ({
+    ...s,
+    distance: s.distance / factor,
+    pace: s.pace * factor
+  }));
+  return { trace, displayName: participant.displayName, equipmentType: participant.equipmentType };
+}
+
+// Resolve a ghost source to a trace:
+//   { type: 'pb', userId, distance }
+//   { type: 'race', raceId, oderId }
+//   { type: 'trace', samples, displayName }
+async function resolveGhostSource(source) {
+  if (!source) return null;
+
+  if (source.type === 'trace') {
+    const trace = normalizeTrace(source.samples);
+    if (!trace) return null;
+    return { trace, displayName: source.displayName || 'Uploaded', equipmentType: source.equipmentType || 'rower' };
+  }
+
+  let raceId = source.raceId;
+  let oderId = source.oderId;
+
+  if (source.type === 'pb') {
+    const distance = Number(source.distance);
+    const best = await persistence.getPersonalBest(source.userId, distance);
+    if (!best) return null;
+    raceId = best.raceId;
+    oderId = source.userId;
+  } else if (source.type !== 'race') {
+    return null;
+  }
+
+  const loaded = await loadRaceTrace(raceId, oderId);
+  if (!loaded) return null;
+  const trace = normalizeTrace(loaded.trace);
+  if (!trace) return null;
+  return {
+    trace,
+    displayName: source.type === 'pb' ? `${loaded.displayName} PB` : loaded.displayName,
+    equipmentType: loaded.equipmentType || 'rower'
+  };
+}
+
+function storeTrace(ghostId, trace) {
+  traces.set(ghostId, trace);
+}
+
+function removeTrace(ghostId) {
+  traces.delete(ghostId);
+}
+
+// Interpolated sample at `t` ms; holds the last sample once the trace ends
+function sampleAt(trace, t) {
+  if (t <= trace[0].t) return trace[0];
+  for (let i = 1; i < trace.length; i++) {
+    const next = trace[i];
+    if (next.t < t) continue;
+    const prev = trace[i - 1];
+    const ratio = next.t === prev.t ? 1 : (t - prev.t) / (next.t - prev.t);
+    return {
+      t,
+      distance: prev.distance + (next.distance - prev.distance) * ratio,
+      pace: next.pace,
+      watts: next.watts
+    };
+  }
+  return trace[trace.length - 1];
+}
+
+// Interpolated time (ms) at which the trace reached `distance`, or null if it never did
+function timeAtDistance(trace, distance) {
+  for (let i = 1; i < trace.length; i++) {
+    const next = trace[i];
+    if (next.distance < distance) continue;
+    const prev = trace[i - 1];
+    const ratio = next.distance === prev.distance ? 1 : (distance - prev.distance) / (next.distance - prev.distance);
+    return Math.round(prev.t + (next.t - prev.t) * ratio);
+  }
+  return null;
+}
+
+// Move every ghost to its recorded position at the current race clock, in the
+// race's meters (see normalization.js)
+function simulateGhosts(race) {
+  const elapsedMs = Date.now() - race.startTime;
+  const isTimeRace = race.raceType === 'time';
+  const clockMs = isTimeRace ? Math.min(elapsedMs, race.targetDuration * 1000) : elapsedMs;
+
+  race.participants.forEach(p => {
+    if (!p.isGhost || p.isFinished) return;
+    const trace = traces.get(p.id);
+    if (!trace) return;
+
+    const factor = normalization.raceFactor(race, p);
+    const sample = sampleAt(trace, clockMs);
+    const distance = sample.distance * factor;
+    p.distance = isTimeRace ? distance : Math.min(distance, race.targetDistance);
+    p.pace = sample.pace / factor;
+    p.watts = sample.watts;
+
+    if (!isTimeRace && p.distance >= race.targetDistance) {
+      p.isFinished = true;
+      p.finishTime = timeAtDistance(trace, race.targetDistance / factor) || elapsedMs;
+      race.finishedCount++;
+      p.position = race.finishedCount;
+    }
+  });
+
+  return race;
+}
+
+module.exports = {
+  resolveGhostSource,
+  storeTrace,
+  removeTrace,
+  timeAtDistance,
+  simulateGhosts
+};
@@ -0,0 +1,257 @@
+const pacing = require('./pacing');
+
+// ============================================
+// INTERVAL RACES
+// ============================================
+//
+// An interval race is a series of work reps separated by rest periods,
+// e.g. 8x500m / 1:00r or 4x4min / 2:00r. The server drives the phase
+// changes; only meters rowed during a work phase are scored.
+//
+// Clients keep sending the monitor's running total in `distance`. Each
+// participant's reading at the start of a rep is used as the baseline, so
+// meters rowed during rest never count towards the next rep.
+
+// Normalize the interval plan sent by the client. Returns null if invalid.
+function normalizeIntervalPlan(plan) {
+  if (!plan) return null;
+
+  const repeats = parseInt(plan.repeats, 10);
+  const workDistance = Number(plan.workDistance) || null;
+  const workDuration = Number(plan.workDuration) || null;
+  const restDuration = plan.restDuration !== undefined ? Number(plan.restDuration) : 60;
+
+  if (!(repeats > 0)) return null;
+  if (!workDistance === !workDuration) return null; // exactly one work target
+  if (!(restDuration >= 0)) return null;
+
+  return {
+    repeats,
+    workType: workDistance ? 'distance' : 'time',
+    workDistance,   // meters per rep
+    workDuration,   // seconds per rep
+    restDuration    // seconds between reps
+  };
+}
+
+// Attach interval bookkeeping to a freshly created race
+function initIntervalRace(race, plan) {
+  race.intervalPlan = plan;
+  race.currentInterval = 0;   // 1-based once racing
+  race.phase = null;          // 'work' | 'rest'
+  race.phaseStartTime = null;
+
+  race.participants.forEach(p => {
+    p.intervals = [];         // per-rep results
+    p.intervalDistance = 0;   // meters in the current rep
+    p.rawDistance = 0;        // last monitor reading
+    p.repStartDistance = 0;   // monitor reading when the rep started
+    p.repFinished = false;
+  });
+
+  return race;
+}
+
+function startWorkPhase(race, now) {
+  race.currentInterval++;
+  race.phase = 'work';
+  race.phaseStartTime = now;
+
+  race.participants.forEach(p => {
+    p.intervalDistance = 0;
+    p.repStartDistance = p.rawDistance;
+    p.repFinished = false;
+  });
+
+  return race;
+}
+
+function startRestPhase(race, now) {
+  race.phase = 'rest';
+  race.phaseStartTime = now;
+  return race;
+}
+
+// Disqualified and DNF participants take no further part in the reps
+function isOut(p) {
+  return p.disqualified || p.dnf;
+}
+
+// Record a participant's finished rep
+function finishRep(race, p, repTime) {
+  p.repFinished = true;
+  p.intervals.push({
+    interval: race.currentInterval,
+    distance: Math.round(p.intervalDistance * 10) / 10,
+    time: repTime,
+    position: null
+  });
+}
+
+// Apply a human's metrics update. Rest meters only move the baseline reading.
+function applyIntervalMetrics(race, p, metrics, now) {
+  p.rawDistance = metrics.distance;
+  p.pace = metrics.pace;
+  p.watts = metrics.watts;
+
+  if (race.phase !== 'work' || p.repFinished) return race;
+
+  const plan = race.intervalPlan;
+  const repDistance = Math.max(0, metrics.distance - p.repStartDistance);
+  p.intervalDistance = plan.workType === 'distance'
+    ? Math.min(repDistance, plan.workDistance)
+    : repDistance;
+
+  if (plan.workType === 'distance' && p.intervalDistance >= plan.workDistance) {
+    finishRep(race, p, now - race.phaseStartTime);
+  }
+
+  updateScoredDistance(p);
+  return race;
+}
+
+// Move bots through the current work phase
+function simulateIntervalBots(race, botConfigs, now) {
+  if (race.phase !== 'work') return race;
+
+  const plan = race.intervalPlan;
+  const phaseElapsedMs = now - race.phaseStartTime;
+  // Bots stop rowing when a time rep's clock runs out
+  const repEnd = plan.workType === 'time' ? Math.min(now, race.phaseStartTime + plan.workDuration * 1000) : now;
+
+  // Bots pace each rep; rabbits chase the humans still in it
+  const leader = pacing.leadingHuman(race.participants.filter(p => !p.repFinished), p => p.intervalDistance);
+  race.participants.forEach(p => {
+    if (!p.isBot || p.repFinished) return;
+
+    const config = botConfigs[p.botDifficulty] || botConfigs.medium;
+    const progress = plan.workType === 'time'
+      ? (repEnd - race.phaseStartTime) / 1000 / plan.workDuration
+      : p.intervalDistance / plan.workDistance;
+    const speed = pacing.botSpeed(p, config.speedMetersPerSec, { progress, distance: p.intervalDistance, leader });
+
+    let repDistance = p.intervalDistance + speed * pacing.rowingTime(p, race.phaseStartTime, repEnd);
+    if (plan.workType === 'distance') {
+      repDistance = Math.min(repDistance, plan.workDistance);
+    }
+    p.intervalDistance = repDistance;
+    p.rawDistance = p.repStartDistance + p.intervalDistance;
+    Object.assign(p, pacing.strokeData(p.equipmentType, speed));
+
+    if (plan.workType === 'distance' && p.intervalDistance >= plan.workDistance) {
+      finishRep(race, p, phaseElapsedMs);
+    }
+
+    updateScoredDistance(p);
+  });
+
+  return race;
+}
+
+// participant.distance is the total of scored work meters
+function updateScoredDistance(p) {
+  const completed = p.intervals.reduce((sum, rep) => sum + rep.distance, 0);
+  p.distance = p.repFinished ? completed : completed + p.intervalDistance;
+}
+
+// Rank the reps of the current interval: fastest time for distance reps, most meters for time reps
+function rankRep(race) {
+  const reps = race.participants
+    .map(p => p.intervals.find(rep => rep.interval === race.currentInterval))
+    .filter(Boolean);
+
+  if (race.intervalPlan.workType === 'distance') {
+    reps.sort((a, b) => a.time - b.time);
+  } else {
+    reps.sort((a, b) => b.distance - a.distance);
+  }
+  reps.forEach((rep, i) => { rep.position = i + 1; });
+}
+
+// Final standings: total rep time for distance reps, total meters for time reps
+function finishIntervalRace(race) {
+  const totals = race.participants.filter(p => !isOut(p)).map(p => ({
+    p,
+    time: p.intervals.reduce((sum, rep) => sum + rep.time, 0),
+    distance: p.intervals.reduce((sum, rep) => sum + rep.distance, 0)
+  }));
+
+  if (race.intervalPlan.workType === 'distance') {
+    totals.sort((a, b) => a.time - b.time);
+  } else {
+    totals.sort((a, b) => b.distance - a.distance);
+  }
+
+  totals.forEach(({ p, time, distance }) => {
+    p.isFinished = true;
+    p.finishTime = time;
+    p.distance = distance;
+    race.finishedCount++;
+    p.position = race.finishedCount;
+  });
+
+  race.phase = null;
+  return race;
+}
+
+// Advance the phase clock. Returns the transition that happened, if any:
+// 'restStarted', 'intervalStarted' or 'finished'.
+function tickIntervals(race, now) {
+  const plan = race.intervalPlan;
+  const phaseElapsedMs = now - race.phaseStartTime;
+
+  if (race.phase === 'work') {
+    if (plan.workType === 'time') {
+      if (phaseElapsedMs < plan.workDuration * 1000) return null;
+      race.participants.forEach(p => {
+        if (!p.repFinished && !isOut(p)) finishRep(race, p, plan.workDuration * 1000);
+      });
+    } else if (!race.participants.every(p => p.repFinished || isOut(p))) {
+      return null;
+    }
+
+    rankRep(race);
+
+    if (race.currentInterval >= plan.repeats) {
+      finishIntervalRace(race);
+      return 'finished';
+    }
+    if (plan.restDuration > 0) {
+      startRestPhase(race, now);
+      return 'restStarted';
+    }
+    startWorkPhase(race, now);
+    return 'intervalStarted';
+  }
+
+  if (race.phase === 'rest' && phaseElapsedMs >= plan.restDuration * 1000) {
+    startWorkPhase(race, now);
+    return 'intervalStarted';
+  }
+
+  return null;
+}
+
+// Per-rep results of the interval that just finished, for the restStarted event
+function getRepResults(race, interval) {
+  return race.participants.map(p => {
+    const rep = p.intervals.find(r => r.interval === interval);
+    return {
+      oderId: p.oderId,
+      displayName: p.displayName,
+      distance: rep ? rep.distance : 0,
+      time: rep ? rep.time : null,
+      position: rep ? rep.position : null
+    };
+  });
+}
+
+module.exports = {
+  normalizeIntervalPlan,
+  initIntervalRace,
+  startWorkPhase,
+  applyIntervalMetrics,
+  simulateIntervalBots,
+  tickIntervals,
+  getRepResults
+};
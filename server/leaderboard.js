@@ -0,0 +1,78 @@
+// ============================================
+// SPECTATOR LEADERBOARD
+// ============================================
+//
+// Spectators don't get the race ticks, only a standings feed: who is where,
+// how far behind the leader and at what pace. Live order is the finishers by
+// position, then everyone still rowing by distance, then DNFs, then
+// disqualified racers (who have no position).
+//
+// A gap is to the leader: meters, and seconds at the racer's current pace.
+// Between finishers it is the difference in finish time.
+
+function round(value, places = 1) {
+  const scale = 10 ** places;
+  return Math.round(value * scale) / scale;
+}
+
+// Sort key of a participant's standing: lower is better
+function standing(p) {
+  if (p.disqualified) return 3;
+  if (p.dnf) return 2;
+  return p.isFinished && p.position ? 0 : 1;
+}
+
+function compare(a, b) {
+  return standing(a) - standing(b)
+    || (standing(a) === 0 ? a.position - b.position : b.distance - a.distance);
+}
+
+function gapSeconds(p, leader) {
+  if (p === leader) return 0;
+  if (p.isFinished && leader.isFinished && p.finishTime && leader.finishTime) {
+    return round((p.finishTime - leader.finishTime) / 1000);
+  }
+  if (!(p.pace > 0)) return null;
+  return round((leader.distance - p.distance) * p.pace / 500);
+}
+
+function entry(p, i, leader) {
+  const placed = !p.dnf && !p.disqualified;
+  return {
+    oderId: p.oderId,
+    displayName: p.displayName,
+    equipmentType: p.equipmentType,
+    isBot: p.isBot || false,
+    isGhost: p.isGhost || false,
+    position: placed ? i + 1 : null,
+    distance: round(p.distance || 0),
+    pace: round(p.pace || 0),
+    gap: placed ? round(Math.max(0, leader.distance - (p.distance || 0))) : null,
+    gapSeconds: placed ? gapSeconds(p, leader) : null,
+    isFinished: p.isFinished || false,
+    finishTime: p.finishTime || null,
+    dnf: p.dnf || false,
+    disqualified: p.disqualified || false
+  };
+}
+
+// Standings of the race right now
+function buildLeaderboard(race, now = Date.now()) {
+  const ordered = [...race.participants].sort(compare);
+  const leader = ordered[0];
+  return {
+    raceId: race.id,
+    lobbyId: race.lobbyId,
+    status: race.status,
+    raceType: race.raceType || 'distance',
+    targetDistance: race.targetDistance || null,
+    targetDuration: race.targetDuration || null,
+    elapsed: race.startTime ? round((now - race.startTime) / 1000) : 0,
+    ...(race.raceType === 'interval' && { currentInterval: race.currentInterval, phase: race.phase }),
+    entries: ordered.map((p, i) => entry(p, i, leader))
+  };
+}
+
+module.exports = {
+  buildLeaderboard
+};
@@ -0,0 +1,61 @@
+// ============================================
+// MATCHMAKING
+// ============================================
+//
+// Quick match: a user queues a ticket for a race distance, equipment type
+// and entry fee, and is grouped with other queued users who want the same
+// race and are close in skill rating. How close starts at ±BASE_WINDOW and
+// widens the longer a ticket waits, up to ±MAX_WINDOW; two tickets match if
+// their ratings are within the wider of their two windows.
+//
+// A group is formed around the longest-waiting ticket. It is matched when it
+// is full, or with at least two once that ticket has waited `fillMs`.
+
+const BASE_WINDOW = 100;
+const WINDOW_GROWTH_PER_SECOND = 10;
+const MAX_WINDOW = 800;
+
+function ticketKey(ticket) {
+  return `${ticket.raceDistance}:${ticket.equipmentType}:${ticket.entryFee}`;
+}
+
+// Rating difference a ticket accepts after waiting until `now`
+function skillWindow(ticket, now) {
+  const waitedSeconds = Math.max(0, now - ticket.queuedAt) / 1000;
+  return Math.min(MAX_WINDOW, BASE_WINDOW + waitedSeconds * WINDOW_GROWTH_PER_SECOND);
+}
+
+function compatible(a, b, now) {
+  if (ticketKey(a) !== ticketKey(b)) return false;
+  return Math.abs(a.rating - b.rating) <= Math.max(skillWindow(a, now), skillWindow(b, now));
+}
+
+// Groups of tickets to put in a lobby together, longest-waiting first.
+// size: most racers in a group; fillMs: how long a smaller group waits to fill.
+function findMatches(tickets, now, { size, fillMs }) {
+  const waiting = [...tickets].sort((a, b) => a.queuedAt - b.queuedAt);
+  const matched = new Set();
+  const groups = [];
+
+  for (const anchor of waiting) {
+    if (matched.has(anchor.userId)) continue;
+
+    const group = [anchor];
+    for (const ticket of waiting) {
+      if (group.length >= size) break;
+      if (ticket === anchor || matched.has(ticket.userId)) continue;
+      if (group.every(member => compatible(member, ticket, now))) group.push(ticket);
+    }
+
+    const ready = group.length >= size || (group.length >= 2 && now - anchor.queuedAt >= fillMs);
+    if (!ready) continue;
+    group.forEach(ticket => matched.add(ticket.userId));
+    groups.push(group);
+  }
+  return groups;
+}
+
+module.exports = {
+  skillWindow,
+  findMatches
+};
@@ -0,0 +1,93 @@
+const { BURST_SPEED, WATTS_CONSTANT } = require('./antiCheat');
+
+// ============================================
+// CROSS-EQUIPMENT NORMALIZATION
+// ============================================
+//
+// RowErg, SkiErg and BikeErg meters aren't worth the same: at the same power
+// a BikeErg covers twice the distance. A lobby picks how mixed equipment
+// races, in rower-equivalent meters:
+//
+//   none     monitor meters (the default, for everyone on the same machine)
+//   factor   monitor meters times a fixed factor per equipment type
+//   watts    the meters a rower would cover at the racer's reported power,
+//            but no faster than their monitor's meters (times the factor)
+//            actually moved
+//
+// In a normalized race `distance` and `pace` are the normalized figures, which
+// decide progress, finishing and positions; `rawDistance` and `rawPace` keep
+// the monitor's. Bots move in normalized meters. Ghost traces are in monitor
+// meters and move by their equipment's factor, in both modes: their recorded
+// watts aren't checked against anything. The raw figures of bots and ghosts
+// are derived with the factors.
+
+// Rower meters per monitor meter
+const EQUIPMENT_FACTORS = {
+  rower: 1,
+  ski: 1,
+  bike: 0.5
+};
+
+function isNormalized(race) {
+  return Boolean(race.normalization) && race.normalization !== 'none';
+}
+
+function factorFor(equipmentType) {
+  return EQUIPMENT_FACTORS[equipmentType] || EQUIPMENT_FACTORS.rower;
+}
+
+// Race meters per monitor meter for a participant of a race (or lobby)
+function raceFactor(race, p) {
+  return isNormalized(race) ? factorFor(p.equipmentType) : 1;
+}
+
+// Rower speed in m/s at `watts`, capped at the fastest plausible rower
+function rowerSpeed(watts) {
+  return Math.min(Math.cbrt(watts / WATTS_CONSTANT.rower), BURST_SPEED.rower);
+}
+
+// The figures a human's metrics update counts for in the race, received at
+// `now` and already checked. Records the monitor's figures on the participant.
+function normalizeMetrics(race, p, metrics, now) {
+  if (!isNormalized(race)) return metrics;
+
+  const { distance, pace, watts } = metrics;
+  let figures;
+  if (race.normalization === 'watts') {
+    const seconds = Math.max(0, now - (p.normalizedAt || race.startTime)) / 1000;
+    // Reported watts are only trusted as far as the monitor's distance bears them out
+    const observed = seconds > 0 ? (distance - (p.rawDistance || 0)) / seconds * factorFor(p.equipmentType) : 0;
+    const speed = watts > 0 ? Math.min(rowerSpeed(watts), observed) : 0;
+    figures = {
+      distance: p.distance + speed * seconds,
+      pace: speed > 0 ? 500 / speed : 0,
+      watts
+    };
+    p.normalizedAt = now;
+  } else {
+    const factor = factorFor(p.equipmentType);
+    figures = { distance: distance * factor, pace: pace / factor, watts };
+  }
+
+  p.rawDistance = distance;
+  p.rawPace = pace;
+  return figures;
+}
+
+// Raw figures of the bots and ghosts, from their normalized ones
+function updateBotRawFigures(race) {
+  if (!isNormalized(race)) return;
+  race.participants.forEach(p => {
+    if (!p.isBot) return;
+    const factor = factorFor(p.equipmentType);
+    p.rawDistance = p.distance / factor;
+    p.rawPace = p.pace * factor;
+  });
+}
+
+module.exports = {
+  isNormalized,
+  raceFactor,
+  normalizeMetrics,
+  updateBotRawFigures
+};
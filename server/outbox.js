@@ -0,0 +1,236 @@
+const Database = require('better-sqlite3');
+
+// ============================================
+// PERSISTENCE OUTBOX
+// ============================================
+//
+// Persistence writes are queued here and applied one at a time, in the order
+// they were queued. The queue is a local SQLite file, so writes that haven't
+// been applied yet survive a crash and go out after the restart.
+//
+// A write that fails is retried with exponential backoff, and the entries
+// behind it wait so nothing is applied out of order. After `maxAttempts`
+// failures the entry is parked as `failed` and the queue moves on. Failed
+// entries can be listed and replayed; a replayed entry goes back in at its
+// original place in the queue.
+//
+// Every entry has an idempotency key and a mode:
+//   once     a write that must happen exactly once (a race result, one user's
+//            stats for a race). Queuing a key that is already queued or was
+//            applied is a no-op.
+//   latest   a write that replaces state (a lobby, a race checkpoint).
+//            Queuing it drops a write to the same key that is still waiting,
+//            so only the newest state goes out, after everything queued
+//            before it.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    key TEXT NOT NULL,
+    mode TEXT NOT NULL,
+    op TEXT NOT NULL,
+    args TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS outbox_key ON outbox (key);
+  CREATE INDEX IF NOT EXISTS outbox_status ON outbox (status, id);
+  CREATE TABLE IF NOT EXISTS outbox_applied (key TEXT PRIMARY KEY, applied_at INTEGER NOT NULL);
+`;
+
+const DEFAULTS = {
+  maxAttempts: 10,
+  baseDelayMs: 500,
+  maxDelayMs: 60000,
+  // How long applied `once` keys are remembered
+  appliedKeyTtlMs: 7 * 24 * 60 * 60 * 1000
+};
+
+// Delay before retry number `attempts`: doubling from baseDelayMs, capped, with jitter
+function backoff(attempts, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+// Entry as shown to admins; `args` only when asked for
+function describe(row, withArgs = false) {
+  return {
+    id: row.id,
+    key: row.key,
+    op: row.op,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    createdAt: new Date(row.created_at).toISOString(),
+    nextAttemptAt: row.status === 'pending' && row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+    ...(withArgs && { args: JSON.parse(row.args) })
+  };
+}
+
+// file: SQLite path (':memory:' for a queue that doesn't survive restarts)
+// apply(op, args): performs a write, throws if it failed
+function createOutbox(file, apply, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const sql = {
+    insert: db.prepare('INSERT INTO outbox (key, mode, op, args, created_at) VALUES (?, ?, ?, ?, ?)'),
+    findAny: db.prepare('SELECT id FROM outbox WHERE key = ? LIMIT 1'),
+    isApplied: db.prepare('SELECT 1 FROM outbox_applied WHERE key = ?'),
+    removeWaiting: db.prepare("DELETE FROM outbox WHERE key = ? AND status = 'pending' AND id != ?"),
+    head: db.prepare("SELECT * FROM outbox WHERE status = 'pending' ORDER BY id LIMIT 1"),
+    remove: db.prepare('DELETE FROM outbox WHERE id = ?'),
+    rememberApplied: db.prepare('INSERT OR REPLACE INTO outbox_applied (key, applied_at) VALUES (?, ?)'),
+    forgetApplied: db.prepare('DELETE FROM outbox_applied WHERE applied_at < ?'),
+    retryNow: db.prepare("UPDATE outbox SET next_attempt_at = 0 WHERE status = 'pending'"),
+    retryLater: db.prepare('UPDATE outbox SET attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?'),
+    park: db.prepare("UPDATE outbox SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?"),
+    get: db.prepare('SELECT * FROM outbox WHERE id = ?'),
+    list: db.prepare('SELECT * FROM outbox ORDER BY id LIMIT ?'),
+    listByStatus: db.prepare('SELECT * FROM outbox WHERE status = ? ORDER BY id LIMIT ?'),
+    replay: db.prepare("UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = 0 WHERE id = ? AND status = 'failed'"),
+    replayAll: db.prepare("UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = 0 WHERE status = 'failed'"),
+    counts: db.prepare('SELECT status, COUNT(*) AS count FROM outbox GROUP BY status')
+  };
+
+  let draining = null;
+  let rerun = false;
+  let timer = null;
+  let inFlightId = null;
+
+  sql.forgetApplied.run(Date.now() - config.appliedKeyTtlMs);
+  // Writes left over from before a restart are due now
+  sql.retryNow.run();
+
+  const enqueueEntry = db.transaction((op, args, key, mode) => {
+    if (mode === 'once') {
+      if (sql.isApplied.get(key) || sql.findAny.get(key)) return false;
+    } else {
+      // The entry being applied stays; the newer state goes out after it
+      sql.removeWaiting.run(key, inFlightId || 0);
+    }
+    sql.insert.run(key, mode, op, JSON.stringify(args), Date.now());
+    return true;
+  });
+
+  const markApplied = db.transaction(entry => {
+    sql.remove.run(entry.id);
+    if (entry.mode === 'once') sql.rememberApplied.run(entry.key, Date.now());
+  });
+
+  function schedule(delayMs) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      drain();
+    }, delayMs);
+    timer.unref();
+  }
+
+  async function drainQueue() {
+    for (;;) {
+      const entry = sql.head.get();
+      if (!entry) return;
+
+      const wait = entry.next_attempt_at - Date.now();
+      if (wait > 0) {
+        schedule(wait);
+        return;
+      }
+
+      inFlightId = entry.id;
+      try {
+        await apply(entry.op, JSON.parse(entry.args));
+        markApplied(entry);
+      } catch (error) {
+        const attempts = entry.attempts + 1;
+        if (attempts >= config.maxAttempts) {
+          sql.park.run(attempts, error.message, entry.id);
+          console.error(`Outbox: ${entry.op} (${entry.key}) failed ${attempts} times, parked as failed:`, error.message);
+          continue;
+        }
+        const delay = backoff(attempts, config);
+        sql.retryLater.run(attempts, Date.now() + delay, error.message, entry.id);
+        console.error(`Outbox: ${entry.op} (${entry.key}) failed, retry ${attempts} in ${delay}ms:`, error.message);
+        schedule(delay);
+        return;
+      } finally {
+        inFlightId = null;
+      }
+    }
+  }
+
+  // Apply what is due now; resolves when the queue is empty or waiting on a retry.
+  // Called while a drain is finishing, it runs again after it.
+  function drain() {
+    if (draining) {
+      rerun = true;
+      return draining;
+    }
+    rerun = false;
+    draining = drainQueue()
+      .catch(error => console.error('Outbox: drain failed:', error.message))
+      .then(() => {
+        draining = null;
+        if (rerun) return drain();
+      });
+    return draining;
+  }
+
+  // Queue a write; false if a `once` key made it a no-op
+  function enqueue(op, args, { key, mode = 'once' }) {
+    const queued = enqueueEntry(op, args, key, mode);
+    if (queued) drain();
+    return queued;
+  }
+
+  function stats() {
+    const counts = { pending: 0, failed: 0 };
+    for (const row of sql.counts.all()) counts[row.status] = row.count;
+    return counts;
+  }
+
+  function list({ status, limit = 100 } = {}) {
+    const rows = status ? sql.listByStatus.all(status, limit) : sql.list.all(limit);
+    return rows.map(row => describe(row));
+  }
+
+  function get(id) {
+    const row = sql.get.get(id);
+    return row ? describe(row, true) : null;
+  }
+
+  // Put a failed entry back in the queue; false if there is no such failed entry
+  function replay(id) {
+    const replayed = sql.replay.run(id).changes > 0;
+    if (replayed) drain();
+    return replayed;
+  }
+
+  function replayFailed() {
+    const count = sql.replayAll.run().changes;
+    if (count > 0) drain();
+    return count;
+  }
+
+  drain();
+
+  return {
+    enqueue,
+    drain,
+    stats,
+    list,
+    get,
+    replay,
+    replayFailed
+  };
+}
+
+module.exports = {
+  createOutbox
+};
@@ -0,0 +1,168 @@
+const { WATTS_CONSTANT } = require('./antiCheat');
+
+// ============================================
+// BOT PACING
+// ============================================
+//
+// A bot rows at its difficulty's speed, shaped by a pacing profile over the
+// race (or the rep, in interval races):
+//
+//   even             the same speed throughout (the default)
+//   fast_start       goes out hard and fades
+//   negative_split   starts easy and builds
+//   sprint_finish    holds back, then sprints the last 20%
+//   rabbit           stays just ahead of the leading human, as fast as its
+//                    difficulty allows
+//
+// A pace boat instead rows exactly to a target: a split, watts or finish
+// time, optionally with planned splits per 500m (see paceBoatPlan).
+//
+// Pace, watts and stroke rate all follow from the bot's speed at that moment.
+// Bot speeds are rower-equivalent, so watts use the rower formula whatever
+// the bot's equipment.
+
+// Speed multiplier at `progress`, from 0 (start) to 1 (finish)
+const PROFILES = {
+  even: () => 1,
+  fast_start: progress => 1.06 - 0.12 * progress,
+  negative_split: progress => 0.96 + 0.08 * progress,
+  sprint_finish: progress => (progress < 0.8 ? 0.98 : 0.98 + 0.9 * (progress - 0.8))
+};
+
+// A rabbit aims this far ahead of the leading human, and closes the gap to
+// that point over RABBIT_CATCH_UP_SEC
+const RABBIT_LEAD_METERS = 5;
+const RABBIT_CATCH_UP_SEC = 5;
+// Speed range of a rabbit, as multiples of its difficulty's speed
+const RABBIT_MIN_SPEED = 0.5;
+const RABBIT_MAX_SPEED = 1.15;
+
+// Speed noise, as a fraction either way
+const SPEED_VARIANCE = 0.03;
+
+// Meters per stroke (BikeErg: per revolution) at race pace, in bot meters
+const STROKE_LENGTH = {
+  rower: 10,
+  ski: 8,
+  bike: 3.3
+};
+
+// The humans' leader, for rabbits: { distance, speed }, or null if no human is
+// racing. distanceOf: the distance to compare (the rep distance in interval races).
+function leadingHuman(participants, distanceOf = p => p.distance) {
+  const racing = participants.filter(p => !p.isBot && !p.isFinished && !p.dnf && !p.disqualified);
+  if (racing.length === 0) return null;
+  const leader = racing.reduce((a, b) => (distanceOf(b) > distanceOf(a) ? b : a));
+  return {
+    distance: distanceOf(leader),
+    speed: leader.pace > 0 ? 500 / leader.pace : 0
+  };
+}
+
+function rabbitSpeed(baseSpeed, distance, leader) {
+  if (!leader) return baseSpeed;
+  const gap = leader.distance + RABBIT_LEAD_METERS - distance;
+  const speed = leader.speed + gap / RABBIT_CATCH_UP_SEC;
+  return Math.min(Math.max(speed, baseSpeed * RABBIT_MIN_SPEED), baseSpeed * RABBIT_MAX_SPEED);
+}
+
+// Bot speed in m/s right now. progress: 0-1 through the race or rep;
+// distance: the bot's, measured like leader.distance.
+function botSpeed(p, baseSpeed, { progress, distance, leader }) {
+  const speed = p.botPacing === 'rabbit'
+    ? rabbitSpeed(baseSpeed, distance, leader)
+    : baseSpeed * (PROFILES[p.botPacing] || PROFILES.even)(Math.min(Math.max(progress, 0), 1));
+  return speed * (1 + (Math.random() - 0.5) * 2 * SPEED_VARIANCE);
+}
+
+// Pace (s/500m), watts and stroke rate (strokes or revolutions per minute) at `speed`
+function strokeData(equipmentType, speed) {
+  if (speed <= 0) return { pace: 0, watts: 0, strokeRate: 0 };
+  return {
+    pace: 500 / speed,
+    watts: Math.round(WATTS_CONSTANT.rower * speed ** 3),
+    strokeRate: Math.round(speed * 60 / (STROKE_LENGTH[equipmentType] || STROKE_LENGTH.rower))
+  };
+}
+
+// Seconds a bot has rowed since it last moved, up to `until`, and no earlier
+// than `from` (the start of the race or rep). Marks it as moved.
+function rowingTime(p, from, until) {
+  const seconds = Math.max(0, until - Math.max(p.simulatedAt || 0, from)) / 1000;
+  p.simulatedAt = until;
+  return seconds;
+}
+
+// ---- pace boats ----
+
+// Fastest split a planned profile may ask for, in seconds per 500m
+const MIN_SPLIT = 60;
+
+// Seconds per 500m at `watts`
+function splitForWatts(watts) {
+  return 500 / Math.cbrt(watts / WATTS_CONSTANT.rower);
+}
+
+// The splits a pace boat rows, from its target ({ split | watts | finishTime,
+// splitProfile }); null if a planned split would be faster than MIN_SPLIT.
+// splitProfile: seconds per 500m segment, slower (+) or faster (-) than the
+// target split. The offsets are centred over the meters of the race they
+// cover (all of them, when the race distance isn't known), so the boat still
+// averages the target; after the profile it rows the target split.
+function paceBoatPlan(target, raceDistance) {
+  const split = target.split || (target.watts && splitForWatts(target.watts)) || target.finishTime * 500 / raceDistance;
+  const profile = target.splitProfile || [];
+  const weights = profile.map((offset, i) => (raceDistance ? Math.min(500, Math.max(0, raceDistance - i * 500)) : 500));
+  const covered = weights.reduce((sum, meters) => sum + meters, 0);
+  const mean = covered ? profile.reduce((sum, offset, i) => sum + offset * weights[i], 0) / covered : 0;
+  const splits = profile.map(offset => split + offset - mean);
+  if (splits.some(planned => planned < MIN_SPLIT)) return null;
+  return { split, splits };
+}
+
+// Split the boat rows at `distance`
+function paceBoatSplit(plan, distance) {
+  return plan.splits[Math.floor(distance / 500)] || plan.split;
+}
+
+// Meters the boat has rowed after `seconds`
+function paceBoatDistance(plan, seconds) {
+  let remaining = seconds;
+  for (let i = 0; i < plan.splits.length; i++) {
+    if (remaining <= plan.splits[i]) return i * 500 + 500 * remaining / plan.splits[i];
+    remaining -= plan.splits[i];
+  }
+  return plan.splits.length * 500 + 500 * remaining / plan.split;
+}
+
+// Seconds the boat takes to row `distance`
+function paceBoatTime(plan, distance) {
+  let seconds = 0;
+  let covered = 0;
+  for (const split of plan.splits) {
+    const segment = Math.min(500, distance - covered);
+    if (segment <= 0) return seconds;
+    seconds += split * segment / 500;
+    covered += segment;
+  }
+  return seconds + plan.split * Math.max(0, distance - covered) / 500;
+}
+
+// m:ss.t, e.g. 1:52.0
+function formatSplit(seconds) {
+  const tenths = Math.round(seconds * 10);
+  const secs = (tenths % 600) / 10;
+  return `${Math.floor(tenths / 600)}:${secs < 10 ? '0' : ''}${secs.toFixed(1)}`;
+}
+
+module.exports = {
+  leadingHuman,
+  botSpeed,
+  strokeData,
+  rowingTime,
+  paceBoatPlan,
+  paceBoatSplit,
+  paceBoatDistance,
+  paceBoatTime,
+  formatSplit
+};
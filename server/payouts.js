@@ -0,0 +1,118 @@
+const { ethers } = require('ethers');
+
+// ============================================
+// PAYOUTS
+// ============================================
+//
+// What a paid lobby pays out, worked out the way the RaceEscrow contract's
+// distributePrizes does, in wei with integer division:
+//
+//   totalPool    entryFee for every deposit the contract holds
+//   platformFee  totalPool * feeBps / 10000, kept by the contract
+//   prizePool    totalPool - platformFee, split by calculatePayouts
+//
+// winner_takes_all pays 1st everything. top_three pays 60/30/10%; with two
+// winners 3rd's share is split between them, with one winner 1st gets it all.
+// Rounding leftovers stay in the contract, as they do on chain.
+
+const BASIS_POINTS = 10000n;
+// The contract's initial platformFeePercent (5%)
+const DEFAULT_FEE_BPS = 500;
+
+const PAYOUT_MODES = {
+  winner_takes_all: { mode: 0, winners: 1 },
+  top_three: { mode: 1, winners: 3 }
+};
+
+function payoutModeOf(lobby) {
+  return PAYOUT_MODES[lobby.payoutMode] || PAYOUT_MODES.winner_takes_all;
+}
+
+// Amounts per place, as BigInts: calculatePayouts in RaceEscrow.sol
+function calculatePayouts(mode, prizePool, winnerCount) {
+  if (mode === PAYOUT_MODES.winner_takes_all.mode) return [prizePool];
+
+  const payouts = [6000n, 3000n, 1000n].map(share => prizePool * share / BASIS_POINTS);
+  if (winnerCount < 3) {
+    payouts[0] += payouts[2] / 2n;
+    payouts[1] += payouts[2] / 2n;
+    payouts[2] = 0n;
+  }
+  if (winnerCount < 2) {
+    payouts[0] += payouts[1];
+    payouts[1] = 0n;
+  }
+  return payouts;
+}
+
+// Participants (or results) the contract pays, in finishing order: humans who
+// placed with a wallet, up to the payout mode's count
+function prizeWinners(lobby, participants) {
+  return participants
+    .filter(p => !p.isBot && p.position && !p.disqualified && ethers.isAddress(p.walletAddress))
+    .sort((a, b) => a.position - b.position)
+    .slice(0, payoutModeOf(lobby).winners);
+}
+
+// Entry fees in the pool: the deposits escrow recorded, including those of
+// racers who left (see escrow.js); a lobby without escrow counts its humans
+function entrantCount(lobby) {
+  if (lobby.escrow && lobby.escrow.deposits) return lobby.escrow.deposits.length;
+  return lobby.participants.filter(p => !p.isBot).length;
+}
+
+// The lobby's pool and fee, as BigInts
+function pool(lobby, feeBps) {
+  const entrants = entrantCount(lobby);
+  const totalPool = BigInt(lobby.entryFee || '0') * BigInt(entrants);
+  const platformFee = totalPool * BigInt(feeBps) / BASIS_POINTS;
+  return { entrants, totalPool, platformFee, prizePool: totalPool - platformFee };
+}
+
+// oderId -> payout in wei (string) for every participant of a finished race;
+// null for a free lobby
+function racePayouts(lobby, participants, feeBps = DEFAULT_FEE_BPS) {
+  if (BigInt(lobby.entryFee || '0') === 0n) return null;
+  const winners = prizeWinners(lobby, participants);
+  const amounts = calculatePayouts(payoutModeOf(lobby).mode, pool(lobby, feeBps).prizePool, winners.length);
+
+  const payouts = new Map(participants.map(p => [p.oderId, '0']));
+  winners.forEach((p, i) => payouts.set(p.oderId, (amounts[i] || 0n).toString()));
+  return payouts;
+}
+
+// What the lobby pays, for clients: the pool, fee and the amount per place.
+// Before the race, places are counted as if every entrant places; once it is
+// completed, they are the actual winners, with their oderId.
+function payoutPreview(lobby, feeBps = DEFAULT_FEE_BPS) {
+  const { entrants, totalPool, platformFee, prizePool } = pool(lobby, feeBps);
+  const winners = lobby.raceResults ? prizeWinners(lobby, lobby.raceResults) : null;
+  const winnerCount = winners ? winners.length : Math.min(entrants, payoutModeOf(lobby).winners);
+  const amounts = calculatePayouts(payoutModeOf(lobby).mode, prizePool, winnerCount);
+
+  return {
+    lobbyId: lobby.id,
+    entryFee: lobby.entryFee || '0',
+    payoutMode: lobby.payoutMode || 'winner_takes_all',
+    platformFeeBps: feeBps,
+    entrants,
+    totalPool: totalPool.toString(),
+    platformFee: platformFee.toString(),
+    prizePool: prizePool.toString(),
+    final: Boolean(winners),
+    payouts: amounts.slice(0, winnerCount).map((amount, i) => ({
+      position: i + 1,
+      amount: amount.toString(),
+      ...(winners && { oderId: winners[i].oderId })
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_FEE_BPS,
+  PAYOUT_MODES,
+  calculatePayouts,
+  prizeWinners,
+  racePayouts,
+  payoutPreview
+};
@@ -0,0 +1,100 @@
+// ============================================
+// PERMISSIONS
+// ============================================
+//
+// Per-action authorization on top of the lobby and race handlers.
+// authorize() returns null when the action is allowed, otherwise a denial
+// { code, message } that the caller turns into a protocol failure.
+
+function deny(code, message) {
+  return { code, message };
+}
+
+// Only the lobby creator may run the lobby
+function creatorOnly(user, { lobby }) {
+  if (lobby.creatorId !== user.uid) {
+    return deny('not_creator', 'Only the lobby creator can do this');
+  }
+  return null;
+}
+
+// The lobby creator, or an admin stepping in
+function creatorOrAdmin(user, context) {
+  if (user.isAdmin) return null;
+  return creatorOnly(user, context);
+}
+
+// Server operations
+function adminOnly(user) {
+  if (!user.isAdmin) {
+    return deny('not_admin', 'Only an admin can do this');
+  }
+  return null;
+}
+
+// Participants act only as themselves
+function selfOnly(user, { oderId }) {
+  if (oderId && oderId !== user.uid) {
+    return deny('not_self', 'You can only act as yourself');
+  }
+  return null;
+}
+
+// Ready up only as yourself, and only in a lobby you joined
+function selfInLobby(user, { lobby, oderId }) {
+  const denial = selfOnly(user, { oderId });
+  if (denial) return denial;
+  if (!lobby.participants.some(p => p.oderId === user.uid)) {
+    return deny('not_participant', 'You have not joined this lobby');
+  }
+  return null;
+}
+
+// Leave as yourself; the creator may also remove bots and ghosts, and humans
+// whose entry fee deposit hasn't been confirmed, who would hold up the race
+function selfOrCreatorRemoving(user, { lobby, oderId }) {
+  if (!oderId || oderId === user.uid) return null;
+  const target = lobby.participants.find(p => p.oderId === oderId);
+  if (lobby.creatorId === user.uid && target && (target.isBot || target.status === 'pending_deposit')) return null;
+  return deny('not_self', 'You can only remove yourself from a lobby');
+}
+
+// Metrics only for yourself, and only in a race you are in
+function ownMetrics(user, { race, oderId }) {
+  const denial = selfOnly(user, { oderId });
+  if (denial) return denial;
+  if (!race.participants.some(p => p.oderId === user.uid)) {
+    return deny('not_participant', 'You are not racing in this race');
+  }
+  return null;
+}
+
+// action -> the object it acts on (if any), and the check
+const RULES = {
+  startRace: { target: 'lobby', check: creatorOnly },
+  cancelRace: { target: 'lobby', check: creatorOrAdmin },
+  addBot: { target: 'lobby', check: creatorOnly },
+  addGhost: { target: 'lobby', check: creatorOnly },
+  setReady: { target: 'lobby', check: selfInLobby },
+  leaveLobby: { target: 'lobby', check: selfOrCreatorRemoving },
+  raceUpdate: { target: 'race', check: ownMetrics },
+  manageOutbox: { target: null, check: adminOnly }
+};
+
+// user: { uid, isAdmin } from auth.js
+// context: { lobby } for lobby actions, { race } for race actions, plus the target `oderId` if any;
+// {} for actions on the server itself
+function authorize(action, user, context) {
+  const rule = RULES[action];
+  if (!rule) {
+    return deny('unknown_action', `Unknown action ${action}`);
+  }
+  if (rule.target && !context[rule.target]) {
+    return deny(`${rule.target}_not_found`, `${rule.target === 'lobby' ? 'Lobby' : 'Race'} not found`);
+  }
+  return rule.check(user, context);
+}
+
+module.exports = {
+  authorize
+};
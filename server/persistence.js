@@ -0,0 +1,335 @@
+const records = require('./persistenceRecords');
+const { createOutbox } = require('./outbox');
+
+// ============================================
+// PERSISTENCE
+// ============================================
+//
+// Race history, user stats and profiles, and the live lobbies and races a
+// restart recovers, behind one adapter interface. The backend is picked with
+// PERSISTENCE:
+//
+//   firestore   firestoreSync.js (the default when Firebase has credentials)
+//   sqlite      sqliteSync.js, a local file at SQLITE_PATH
+//   memory      this process only, lost on restart (the default otherwise)
+//
+// Every backend stores the records in persistenceRecords.js and implements:
+//
+//   syncLobbyCreated(lobby), syncLobbyUpdated(lobby), syncLobbyCompleted(lobby),
+//   loadOpenLobbies()
+//   syncGhostTrace(ghostId, trace), getGhostTrace(ghostId), deleteGhostTrace(ghostId)
+//   syncRaceSnapshot(race), loadActiveRaces()
+//   syncRaceCompleted(race), syncRaceCancelled(race, lobby),
+//   syncRaceTelemetry(raceId, timeline), getRaceReplay(raceId)
+//   applyUserRaceStats(userId, raceId, increments), getRatingHistory(userId, limit),
+//   applyUserEarnings(userId, raceId, entry), getEarnings(userId, limit),
+//   updatePersonalBests(race), getPersonalBest(userId, distance),
+//   saveUserProfile(userId, profileData), getUserProfile(userId)
+//
+// A race snapshot lives until syncRaceCompleted or syncRaceCancelled.
+// applyUserRaceStats applies a user's stats for a race at most once, so it
+// can be retried. A rating change is applied to the stored rating and added
+// to the rating history in the same step. applyUserEarnings, likewise once
+// per user and race, adds a prize to totalEarnings and the earnings ledger.
+//
+// Writes (WRITES below) don't go to the backend directly: they are queued in
+// the outbox (outbox.js), a local file at OUTBOX_PATH, and applied in order
+// with retries. Callers get nothing back and never wait on the backend.
+// updateUserStats(race) queues one applyUserRaceStats per human, and
+// creditEarnings(lobby) one applyUserEarnings per prize winner.
+//
+// Reads and saveUserProfile go straight to the backend. They may throw;
+// callers never see it: a failure is logged and returns null (or nothing to
+// recover).
+
+const BACKENDS = ['firestore', 'sqlite', 'memory'];
+
+const DEFAULT_SQLITE_PATH = 'pm5-racing.db';
+const DEFAULT_OUTBOX_PATH = 'pm5-outbox.db';
+
+// List queries; on failure they return nothing (recover nothing, for recovery)
+const LIST_QUERIES = ['loadOpenLobbies', 'loadActiveRaces', 'getRatingHistory', 'getEarnings'];
+
+// Outbox key and mode of each write (see outbox.js): `once` for things that
+// happen, `latest` for state where only the newest write matters
+const WRITES = {
+  syncLobbyCreated: { mode: 'once', key: lobby => `lobby:${lobby.id}:created` },
+  syncLobbyUpdated: { mode: 'latest', key: lobby => `lobby:${lobby.id}` },
+  syncLobbyCompleted: { mode: 'once', key: lobby => `lobby:${lobby.id}:completed` },
+  // A delete supersedes a waiting save of the same trace
+  syncGhostTrace: { mode: 'latest', key: ghostId => `ghost:${ghostId}` },
+  deleteGhostTrace: { mode: 'latest', key: ghostId => `ghost:${ghostId}` },
+  syncRaceSnapshot: { mode: 'latest', key: race => `race:${race.id}:snapshot` },
+  syncRaceCompleted: { mode: 'once', key: race => `race:${race.id}:completed` },
+  syncRaceCancelled: { mode: 'once', key: race => `race:${race.id}:cancelled` },
+  syncRaceTelemetry: { mode: 'once', key: raceId => `race:${raceId}:telemetry` },
+  applyUserRaceStats: { mode: 'once', key: (userId, raceId) => `stats:${raceId}:${userId}` },
+  applyUserEarnings: { mode: 'once', key: (userId, raceId) => `earnings:${raceId}:${userId}` },
+  updatePersonalBests: { mode: 'once', key: race => `race:${race.id}:personalBests` }
+};
+
+// ---- in-memory backend ----
+
+function createMemoryAdapter() {
+  const lobbies = new Map();
+  const races = new Map(); // raceId -> { race, results: Map, telemetry: Map }
+  const activeRaces = new Map();
+  const ghostTraces = new Map();
+  const users = new Map(); // userId -> { profile, personalBests: Map, ratingHistory: [], earnings: [] }
+  const appliedStats = new Set(); // `${raceId}:${userId}`
+  const appliedEarnings = new Set(); // `${raceId}:${userId}`
+
+  const copy = value => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  // Like Firestore's update(): the document must exist
+  function updateLobby(lobbyId, change) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby) throw new Error(`No lobby ${lobbyId}`);
+    lobbies.set(lobbyId, { ...lobby, ...copy(change) });
+  }
+
+  function user(userId) {
+    if (!users.has(userId)) users.set(userId, { profile: null, personalBests: new Map(), ratingHistory: [], earnings: [] });
+    return users.get(userId);
+  }
+
+  // Like Firestore's set(..., { merge: true }): creates the document if missing
+  function mergeUser(userId, change) {
+    const entry = user(userId);
+    entry.profile = { ...entry.profile, ...copy(change) };
+  }
+
+  return {
+    backend: 'memory',
+    label: 'Memory',
+
+    async syncLobbyCreated(lobby) {
+      lobbies.set(lobby.id, copy(records.lobbyRecord(lobby)));
+    },
+
+    async syncLobbyUpdated(lobby) {
+      lobbies.set(lobby.id, { ...lobbies.get(lobby.id), ...copy(records.lobbyStateChange(lobby)) });
+    },
+
+    async syncLobbyCompleted(lobby) {
+      updateLobby(lobby.id, records.lobbyCompletedChange(lobby));
+    },
+
+    async loadOpenLobbies() {
+      return Array.from(lobbies.values())
+        .filter(lobby => records.OPEN_LOBBY_STATUSES.includes(lobby.status))
+        .map(lobby => records.recoveredLobby(copy(lobby)));
+    },
+
+    async syncGhostTrace(ghostId, trace) {
+      ghostTraces.set(ghostId, copy(trace));
+    },
+
+    async getGhostTrace(ghostId) {
+      return copy(ghostTraces.get(ghostId));
+    },
+
+    async deleteGhostTrace(ghostId) {
+      ghostTraces.delete(ghostId);
+    },
+
+    async syncRaceCompleted(race) {
+      const results = new Map(race.participants.map(p => [p.oderId, copy(records.resultRecord(p))]));
+      const existing = races.get(race.id);
+      races.set(race.id, {
+        race: copy(records.completedRaceRecord(race)),
+        results: new Map([...(existing ? existing.results : []), ...results]),
+        telemetry: existing ? existing.telemetry : new Map()
+      });
+      activeRaces.delete(race.id);
+    },
+
+    async syncRaceCancelled(race, lobby) {
+      const existing = races.get(race.id);
+      races.set(race.id, {
+        race: copy(records.cancelledRaceRecord(race, lobby)),
+        results: existing ? existing.results : new Map(),
+        telemetry: existing ? existing.telemetry : new Map()
+      });
+      activeRaces.delete(race.id);
+    },
+
+    async syncRaceSnapshot(race) {
+      activeRaces.set(race.id, copy(records.raceSnapshotRecord(race)));
+    },
+
+    async loadActiveRaces() {
+      return Array.from(activeRaces.values(), copy);
+    },
+
+    async syncRaceTelemetry(raceId, timeline) {
+      if (!timeline) return;
+      if (!races.has(raceId)) races.set(raceId, { race: null, results: new Map(), telemetry: new Map() });
+      for (const [oderId, samples] of Object.entries(timeline)) {
+        races.get(raceId).telemetry.set(oderId, copy(samples));
+      }
+    },
+
+    async getRaceReplay(raceId) {
+      const entry = races.get(raceId);
+      if (!entry || !entry.race) return null;
+      const participants = Array.from(entry.results.values(), copy).sort(records.byOderId);
+      const timeline = {};
+      for (const [oderId, samples] of entry.telemetry) timeline[oderId] = copy(samples);
+      return { race: { ...copy(entry.race), participants }, timeline };
+    },
+
+    async applyUserRaceStats(userId, raceId, { totalRaces, totalWins, rating }) {
+      if (appliedStats.has(`${raceId}:${userId}`)) return;
+      const profile = user(userId).profile || {};
+      const change = { totalRaces: (profile.totalRaces || 0) + totalRaces, lastActive: records.now() };
+      if (totalWins) change.totalWins = (profile.totalWins || 0) + totalWins;
+      if (rating) {
+        const entry = records.ratingHistoryRecord(rating, user(userId).profile);
+        change.skillRating = entry.ratingAfter;
+        user(userId).ratingHistory.push(entry);
+      }
+      mergeUser(userId, change);
+      appliedStats.add(`${raceId}:${userId}`);
+    },
+
+    async applyUserEarnings(userId, raceId, earnings) {
+      if (appliedEarnings.has(`${raceId}:${userId}`)) return;
+      const entry = records.earningsRecord(earnings, user(userId).profile);
+      user(userId).earnings.push(entry);
+      mergeUser(userId, { totalEarnings: entry.totalAfter });
+      appliedEarnings.add(`${raceId}:${userId}`);
+    },
+
+    // Newest first
+    async getRatingHistory(userId, limit) {
+      const entry = users.get(userId);
+      return entry ? entry.ratingHistory.slice(-limit).reverse().map(copy) : [];
+    },
+
+    // Newest first
+    async getEarnings(userId, limit) {
+      const entry = users.get(userId);
+      return entry ? entry.earnings.slice(-limit).reverse().map(copy) : [];
+    },
+
+    async updatePersonalBests(race) {
+      for (const p of records.personalBestCandidates(race)) {
+        const bests = user(p.oderId).personalBests;
+        if (!records.isNewPersonalBest(bests.get(race.targetDistance), p)) continue;
+        bests.set(race.targetDistance, records.personalBestRecord(race, p));
+      }
+    },
+
+    async getPersonalBest(userId, distance) {
+      const entry = users.get(userId);
+      return entry ? copy(entry.personalBests.get(Number(distance))) : null;
+    },
+
+    async saveUserProfile(userId, profileData) {
+      mergeUser(userId, records.profileChange(userId, profileData, user(userId).profile));
+      return copy(user(userId).profile);
+    },
+
+    async getUserProfile(userId) {
+      const entry = users.get(userId);
+      return entry ? copy(entry.profile) : null;
+    }
+  };
+}
+
+// ---- selection ----
+
+// Read failures are logged, never thrown: persistence must not break a race
+function guard(adapter) {
+  const guarded = {};
+  for (const [name, method] of Object.entries(adapter)) {
+    if (typeof method !== 'function') continue;
+    const fallback = LIST_QUERIES.includes(name) ? [] : null;
+    guarded[name] = async (...args) => {
+      try {
+        return await method(...args);
+      } catch (error) {
+        console.error(`${adapter.label}: ${name} failed:`, error.message);
+        return fallback;
+      }
+    };
+  }
+  return guarded;
+}
+
+// Reads guarded, writes queued in an outbox that applies them to `adapter`
+function withOutbox(adapter, outboxPath, outboxOptions) {
+  const outbox = createOutbox(outboxPath, async (op, args) => {
+    await adapter[op](...args);
+  }, outboxOptions);
+
+  const persistence = { ...guard(adapter), backend: adapter.backend, outbox };
+  for (const [op, { mode, key }] of Object.entries(WRITES)) {
+    persistence[op] = (...args) => {
+      outbox.enqueue(op, args, { key: key(...args), mode });
+    };
+  }
+
+  // One write per user, so a failure for one doesn't hold back or repeat the others
+  persistence.updateUserStats = race => {
+    for (const p of records.statsParticipants(race)) {
+      persistence.applyUserRaceStats(p.oderId, race.id, records.statsIncrements(race, p));
+    }
+  };
+
+  persistence.creditEarnings = lobby => {
+    for (const { userId, raceId, entry } of records.lobbyEarnings(lobby)) {
+      persistence.applyUserEarnings(userId, raceId, entry);
+    }
+  };
+
+  return persistence;
+}
+
+function createAdapter(backend, options) {
+  if (backend === 'sqlite') {
+    const { createSqliteAdapter } = require('./sqliteSync');
+    return createSqliteAdapter(options.sqlitePath || DEFAULT_SQLITE_PATH);
+  }
+
+  if (backend !== 'memory') {
+    const { db, admin } = require('./firebase');
+    if (db) {
+      const { createFirestoreAdapter } = require('./firestoreSync');
+      return createFirestoreAdapter(db, admin);
+    }
+    if (backend === 'firestore') {
+      console.warn('Persistence: Firestore has no credentials, keeping history in memory');
+    }
+  }
+
+  return createMemoryAdapter();
+}
+
+// Backend named by `backend` (see above); without one, Firestore if it has credentials.
+// The memory backend gets an in-memory outbox: there is nothing to keep across restarts.
+function createPersistence(backend, options = {}) {
+  if (backend && !BACKENDS.includes(backend)) {
+    throw new Error(`Unknown persistence backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+  }
+
+  const adapter = createAdapter(backend, options);
+  const outboxPath = adapter.backend === 'memory' ? ':memory:' : options.outboxPath || DEFAULT_OUTBOX_PATH;
+  return withOutbox(adapter, outboxPath, options.outbox);
+}
+
+const persistence = createPersistence(process.env.PERSISTENCE, {
+  sqlitePath: process.env.SQLITE_PATH,
+  outboxPath: process.env.OUTBOX_PATH,
+  outbox: {
+    ...(process.env.OUTBOX_MAX_ATTEMPTS && { maxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS) })
+  }
+});
+console.log(`Persistence: ${persistence.backend}`);
+
+module.exports = {
+  ...persistence,
+  createPersistence,
+  createMemoryAdapter
+};
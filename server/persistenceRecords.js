@@ -0,0 +1,288 @@
+const rating = require('./rating');
+
+// ============================================
+// PERSISTED RECORDS
+// ============================================
+//
+// The documents every persistence backend stores and returns, so Firestore,
+// SQLite and memory give the same answers to the same queries.
+
+const PROFILE_DEFAULTS = {
+  skillRating: rating.DEFAULT_RATING,
+  totalRaces: 0,
+  totalWins: 0,
+  totalEarnings: '0'
+};
+
+function now() {
+  return new Date().toISOString();
+}
+
+// JSON copy: drops undefined fields, which Firestore rejects
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// ---- lobbies ----
+
+function lobbyRecord(lobby) {
+  return {
+    id: lobby.id,
+    creatorId: lobby.creatorId,
+    raceType: lobby.raceType || 'distance',
+    raceDistance: lobby.raceDistance,
+    targetDuration: lobby.targetDuration || null,
+    intervalPlan: lobby.intervalPlan || null,
+    normalization: lobby.normalization || 'none',
+    maxDuration: lobby.maxDuration || null,
+    entryFee: lobby.entryFee || '0',
+    payoutMode: lobby.payoutMode || 'winner_takes_all',
+    status: lobby.status,
+    maxParticipants: lobby.maxParticipants,
+    minParticipants: lobby.minParticipants,
+    participantCount: lobby.participants.length,
+    participants: plain(lobby.participants),
+    escrow: lobby.escrow || null,
+    createdAt: lobby.createdAt,
+    completedAt: null,
+    raceId: null
+  };
+}
+
+// Live state of a lobby, written after every change (merged into the record)
+function lobbyStateChange(lobby) {
+  const { completedAt, raceId, ...state } = lobbyRecord(lobby);
+  return state;
+}
+
+function lobbyCompletedChange(lobby) {
+  return {
+    status: 'completed',
+    raceId: lobby.raceId || null,
+    completedAt: now()
+  };
+}
+
+// Lobbies a restart picks up again
+const OPEN_LOBBY_STATUSES = ['waiting', 'in_progress'];
+
+// A stored open lobby as a live lobby again, participants and ready states included
+function recoveredLobby(data) {
+  return {
+    id: data.id,
+    creatorId: data.creatorId,
+    raceType: data.raceType || 'distance',
+    raceDistance: data.raceDistance,
+    targetDuration: data.targetDuration || null,
+    intervalPlan: data.intervalPlan || null,
+    normalization: data.normalization || 'none',
+    maxDuration: data.maxDuration || null,
+    entryFee: data.entryFee || '0',
+    payoutMode: data.payoutMode || 'winner_takes_all',
+    status: data.status,
+    maxParticipants: data.maxParticipants || 10,
+    minParticipants: data.minParticipants || 2,
+    createdAt: data.createdAt,
+    participants: data.participants || [],
+    spectatorCount: 0,
+    ...(data.escrow && { escrow: data.escrow })
+  };
+}
+
+// ---- races ----
+
+function raceFields(race) {
+  return {
+    id: race.id,
+    lobbyId: race.lobbyId,
+    raceType: race.raceType || 'distance',
+    targetDistance: race.targetDistance,
+    targetDuration: race.targetDuration || null,
+    intervalPlan: race.intervalPlan || null,
+    normalization: race.normalization || 'none',
+    status: race.status,
+    startTime: race.startTime
+  };
+}
+
+function completedRaceRecord(race) {
+  return {
+    ...raceFields(race),
+    completedAt: now(),
+    finishedCount: race.finishedCount,
+    telemetryIncomplete: race.telemetryIncomplete || false
+  };
+}
+
+// Entry fees are refunded when the lobby is closed (abandoned); a cancelled
+// race returns to its lobby for a restart
+function cancelledRaceRecord(race, lobby) {
+  const entryFee = (lobby && lobby.entryFee) || '0';
+  return {
+    ...raceFields(race),
+    cancelReason: race.cancelReason,
+    cancelledBy: race.cancelledBy || null,
+    cancelNote: race.cancelNote || null,
+    cancelledAt: race.cancelledAt,
+    entryFee,
+    refundRequired: race.status === 'abandoned' && BigInt(entryFee) > 0n
+  };
+}
+
+// Checkpoint of a race in its countdown or in progress: the whole race,
+// including startTime, bot and interval state, so it can be resumed
+function raceSnapshotRecord(race) {
+  return { ...plain(race), checkpointAt: now() };
+}
+
+function resultRecord(p) {
+  return {
+    oderId: p.oderId,
+    displayName: p.displayName,
+    walletAddress: p.walletAddress || '',
+    equipmentType: p.equipmentType,
+    position: p.position || null,
+    finishTime: p.finishTime || null,
+    distance: p.distance,
+    pace: p.pace,
+    watts: p.watts,
+    isBot: p.isBot || false,
+    isGhost: p.isGhost || false,
+    isFinished: p.isFinished,
+    flagged: p.flagged || false,
+    disqualified: p.disqualified || false,
+    dnf: p.dnf || false,
+    violations: p.violations || [],
+    intervals: p.intervals || null,
+    // Monitor figures, in a normalized race (see normalization.js)
+    rawDistance: p.rawPace === undefined ? null : p.rawDistance,
+    rawPace: p.rawPace === undefined ? null : p.rawPace,
+    rating: p.rating || null,
+    ratingChange: p.ratingChange === undefined ? null : p.ratingChange,
+    // Prize in wei, in a paid lobby (see payouts.js)
+    payout: p.payout === undefined ? null : p.payout
+  };
+}
+
+// Results are returned in oderId order, as Firestore lists documents by id
+function byOderId(a, b) {
+  return a.oderId < b.oderId ? -1 : a.oderId > b.oderId ? 1 : 0;
+}
+
+// ---- users ----
+
+// Humans whose stats a completed race changes
+function statsParticipants(race) {
+  return race.participants.filter(p => !p.isBot);
+}
+
+// What one participant's race adds to their stats; `rating` if the race was
+// rated (see rating.js), with the change to apply to their stored rating
+function statsIncrements(race, p) {
+  return {
+    totalRaces: 1,
+    totalWins: p.position === 1 ? 1 : 0,
+    rating: p.ratingChange === undefined ? null : {
+      raceId: race.id,
+      position: p.position || null,
+      dnf: p.dnf || false,
+      disqualified: p.disqualified || false,
+      ratingChange: p.ratingChange
+    }
+  };
+}
+
+// Prizes of a completed lobby, to credit once the contract has paid them:
+// [{ userId, raceId, entry }] for every human with a payout
+function lobbyEarnings(lobby) {
+  return (lobby.raceResults || [])
+    .filter(p => !p.isBot && p.payout && BigInt(p.payout) > 0n)
+    .map(p => ({
+      userId: p.oderId,
+      raceId: lobby.raceId,
+      entry: { raceId: lobby.raceId, lobbyId: lobby.id, position: p.position, amount: p.payout }
+    }));
+}
+
+// Rating history entry: the race's rating change applied to the stored profile
+function ratingHistoryRecord(entry, profile) {
+  const ratingBefore = rating.currentRating(profile);
+  return {
+    ...entry,
+    ratingBefore,
+    ratingAfter: ratingBefore + entry.ratingChange,
+    ratedAt: now()
+  };
+}
+
+// Earnings ledger entry: the race's prize added to the stored total, in wei
+function earningsRecord(entry, profile) {
+  const totalBefore = (profile && profile.totalEarnings) || '0';
+  return {
+    ...entry,
+    totalBefore,
+    totalAfter: (BigInt(totalBefore) + BigInt(entry.amount)).toString(),
+    earnedAt: now()
+  };
+}
+
+// Finishers of a distance race whose time may be a PB. Normalized races don't
+// count: their finish times aren't for the monitor distance.
+function personalBestCandidates(race) {
+  if (race.raceType !== 'distance' || (race.normalization || 'none') !== 'none') return [];
+  return race.participants.filter(p => !p.isBot && p.isFinished && p.finishTime);
+}
+
+function isNewPersonalBest(existing, p) {
+  return !existing || existing.finishTime > p.finishTime;
+}
+
+function personalBestRecord(race, p) {
+  return {
+    distance: race.targetDistance,
+    finishTime: p.finishTime,
+    raceId: race.id,
+    equipmentType: p.equipmentType,
+    achievedAt: now()
+  };
+}
+
+// Fields a profile save writes: what the user sent, plus defaults for the
+// fields a new profile doesn't have yet. Stats already recorded are kept.
+function profileChange(userId, profileData, existing) {
+  const change = {};
+  for (const [field, value] of Object.entries(PROFILE_DEFAULTS)) {
+    if (!existing || existing[field] === undefined) change[field] = value;
+  }
+  if (!existing || !existing.createdAt) change.createdAt = now();
+
+  change.id = userId;
+  change.displayName = profileData.displayName || 'Rower';
+  change.lastActive = now();
+  if (profileData.email) change.email = profileData.email;
+  if (profileData.walletAddress) change.walletAddress = profileData.walletAddress;
+  return change;
+}
+
+module.exports = {
+  OPEN_LOBBY_STATUSES,
+  now,
+  lobbyRecord,
+  lobbyStateChange,
+  lobbyCompletedChange,
+  recoveredLobby,
+  completedRaceRecord,
+  cancelledRaceRecord,
+  raceSnapshotRecord,
+  resultRecord,
+  byOderId,
+  statsParticipants,
+  statsIncrements,
+  lobbyEarnings,
+  ratingHistoryRecord,
+  earningsRecord,
+  personalBestCandidates,
+  isNewPersonalBest,
+  personalBestRecord,
+  profileChange
+};
@@ -0,0 +1,400 @@
+const Ajv = require('ajv');
+
+// ============================================
+// PROTOCOL SCHEMAS
+// ============================================
+//
+// One JSON Schema per socket event and REST body. Payloads are validated
+// before they reach a handler, every reply has the same shape, and the
+// machine-readable protocol spec (GET /protocol, `npm run protocol`) is
+// generated from the same tables.
+//
+// Replies:
+//   socket ack   { ok: true, data } | { ok: false, error: { code, message, details } }
+//   REST         <data>             | HTTP 4xx/5xx { error: message, code, details }
+
+const ajv = new Ajv({ allErrors: true });
+
+const id = { type: 'string', minLength: 1, maxLength: 128 };
+const wei = { type: 'string', pattern: '^[0-9]+$' };
+const equipmentType = { enum: ['rower', 'bike', 'ski'] };
+// An Ethereum address, or empty for none
+const walletAddress = { type: 'string', pattern: '^(0x[0-9a-fA-F]{40})?$' };
+const difficulty = { enum: ['easy', 'medium', 'hard', 'elite'] };
+const pacing = { enum: ['even', 'fast_start', 'negative_split', 'sprint_finish', 'rabbit'] };
+
+const intervalPlan = {
+  type: 'object',
+  properties: {
+    repeats: { type: 'integer', minimum: 1, maximum: 50 },
+    workDistance: { type: 'number', exclusiveMinimum: 0 },
+    workDuration: { type: 'number', exclusiveMinimum: 0 },
+    restDuration: { type: 'number', minimum: 0 }
+  },
+  required: ['repeats'],
+  oneOf: [
+    { required: ['workDistance'], not: { required: ['workDuration'] } },
+    { required: ['workDuration'], not: { required: ['workDistance'] } }
+  ]
+};
+
+// Exactly one target; splitProfile: seconds per 500m off the target split
+const paceBoat = {
+  type: 'object',
+  properties: {
+    split: { type: 'number', minimum: 60, maximum: 600 },
+    watts: { type: 'number', minimum: 10, maximum: 2000 },
+    finishTime: { type: 'number', exclusiveMinimum: 0 },
+    splitProfile: { type: 'array', items: { type: 'number', minimum: -60, maximum: 60 }, minItems: 1, maxItems: 200 }
+  },
+  oneOf: [
+    { required: ['split'] },
+    { required: ['watts'] },
+    { required: ['finishTime'] }
+  ]
+};
+
+const createLobby = {
+  type: 'object',
+  properties: {
+    raceType: { enum: ['distance', 'time', 'interval'] },
+    raceDistance: { type: 'number', exclusiveMinimum: 0 },
+    targetDuration: { type: 'number', exclusiveMinimum: 0 },
+    intervalPlan,
+    normalization: { enum: ['none', 'factor', 'watts'] },
+    maxDuration: { type: 'number', exclusiveMinimum: 0 },
+    entryFee: wei,
+    payoutMode: { enum: ['winner_takes_all', 'top_three'] },
+    maxParticipants: { type: 'integer', minimum: 1, maximum: 50 },
+    minParticipants: { type: 'integer', minimum: 1, maximum: 50 }
+  },
+  allOf: [
+    {
+      if: { properties: { raceType: { const: 'time' } }, required: ['raceType'] },
+      then: { required: ['targetDuration'] }
+    },
+    {
+      if: { properties: { raceType: { const: 'interval' } }, required: ['raceType'] },
+      // Mixed equipment isn't normalized in interval races
+      then: { required: ['intervalPlan'], properties: { normalization: { const: 'none' } } }
+    },
+    {
+      if: { not: { properties: { raceType: { enum: ['time', 'interval'] } }, required: ['raceType'] } },
+      then: { required: ['raceDistance'] }
+    }
+  ]
+};
+
+// Closed: a racer can't set anything else about themselves. id and oderId are
+// accepted from older clients and ignored, racers join as their token's user.
+const participant = {
+  type: 'object',
+  properties: {
+    id,
+    oderId: id,
+    displayName: { type: 'string', minLength: 1, maxLength: 64 },
+    walletAddress,
+    equipmentType
+  },
+  required: ['displayName'],
+  additionalProperties: false
+};
+
+const sample = {
+  type: 'object',
+  properties: {
+    t: { type: 'number', minimum: 0 },
+    distance: { type: 'number', minimum: 0 },
+    pace: { type: 'number', minimum: 0 },
+    watts: { type: 'number', minimum: 0 }
+  },
+  required: ['t', 'distance']
+};
+
+const ghostSource = {
+  type: 'object',
+  oneOf: [
+    {
+      properties: { type: { const: 'pb' }, userId: id, distance: { type: 'number', exclusiveMinimum: 0 } },
+      required: ['type', 'userId', 'distance']
+    },
+    {
+      properties: { type: { const: 'race' }, raceId: id, oderId: id },
+      required: ['type', 'raceId', 'oderId']
+    },
+    {
+      properties: {
+        type: { const: 'trace' },
+        samples: { type: 'array', items: sample, minItems: 2, maxItems: 20000 },
+        displayName: { type: 'string', maxLength: 64 },
+        equipmentType
+      },
+      required: ['type', 'samples']
+    }
+  ]
+};
+
+const metrics = {
+  type: 'object',
+  properties: {
+    distance: { type: 'number' },
+    pace: { type: 'number' },
+    watts: { type: 'number' }
+  },
+  required: ['distance', 'pace', 'watts']
+};
+
+const cancelNote = { type: 'string', maxLength: 256 };
+
+const matchRequest = {
+  type: 'object',
+  properties: {
+    raceDistance: { type: 'number', exclusiveMinimum: 0 },
+    equipmentType,
+    entryFee: wei,
+    displayName: { type: 'string', minLength: 1, maxLength: 64 },
+    walletAddress
+  },
+  required: ['raceDistance']
+};
+
+function object(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+// Client -> server socket events. `spectator`: still allowed while the socket
+// is spectating; spectators are read-only, so every other event is refused.
+const SOCKET_EVENTS = {
+  identify: {
+    description: 'Request the lobby list for the authenticated user',
+    schema: { type: ['object', 'null'] },
+    spectator: true
+  },
+  createLobby: { description: 'Create a new lobby', schema: createLobby },
+  joinMatchmaking: {
+    description: 'Queue for a quick match; queuing again replaces your ticket',
+    schema: matchRequest
+  },
+  leaveMatchmaking: {
+    description: 'Leave the quick match queue',
+    schema: { type: ['object', 'null'] }
+  },
+  getLobbies: {
+    description: 'Request the lobby list',
+    schema: { type: ['object', 'null'] },
+    spectator: true
+  },
+  joinLobby: {
+    description: 'Join a lobby',
+    schema: object({ lobbyId: id, participant }, ['lobbyId', 'participant'])
+  },
+  addBot: {
+    description: 'Add a bot (creator only)',
+    schema: object({ lobbyId: id, difficulty, pacing, paceBoat }, ['lobbyId'])
+  },
+  addGhost: {
+    description: 'Add a ghost replaying a recorded performance (creator only)',
+    schema: object({ lobbyId: id, source: ghostSource }, ['lobbyId', 'source'])
+  },
+  setReady: {
+    description: 'Mark yourself as ready',
+    schema: object({ lobbyId: id, oderId: id }, ['lobbyId'])
+  },
+  leaveLobby: {
+    description: 'Leave a lobby, or remove a bot/ghost (creator only)',
+    schema: object({ lobbyId: id, oderId: id }, ['lobbyId'])
+  },
+  rejoinLobby: {
+    description: 'Rejoin a lobby room after reconnecting or joining over REST',
+    schema: object({ lobbyId: id }, ['lobbyId'])
+  },
+  spectateLobby: {
+    description: 'Watch a lobby and its race without taking part (not as a participant)',
+    schema: object({ lobbyId: id }, ['lobbyId']),
+    spectator: true
+  },
+  stopSpectating: {
+    description: 'Stop watching a lobby',
+    schema: object({ lobbyId: id }, ['lobbyId']),
+    spectator: true
+  },
+  startRace: {
+    description: 'Start the countdown (creator only)',
+    schema: object({ lobbyId: id }, ['lobbyId'])
+  },
+  cancelRace: {
+    description: 'Cancel the countdown or race in progress (creator or admin)',
+    schema: object({ lobbyId: id, note: cancelNote }, ['lobbyId'])
+  },
+  raceUpdate: {
+    description: 'Send your race metrics',
+    schema: object({ raceId: id, oderId: id, metrics }, ['raceId', 'metrics'])
+  },
+  raceUpdateBinary: {
+    description: 'Send your race metrics as a binary frame (see codec.js)'
+  },
+  resyncRace: {
+    description: 'Request the full race after missing a raceDelta',
+    schema: object({ raceId: id }, ['raceId']),
+    spectator: true
+  }
+};
+
+// Server -> client socket events
+const SERVER_EVENTS = {
+  lobbyList: 'Lobbies the user created or joined',
+  lobbyCreated: 'Lobby creation confirmed',
+  lobbyUpdated: 'Lobby state changed',
+  matchFound: 'Quick match found: the lobby you were put in with the other matched racers',
+  countdown: 'Countdown seconds (5, 4, 3, 2, 1)',
+  raceStarted: 'Race has begun, with its `raceKey` and `participantIndex` for binary frames',
+  intervalStarted: 'Work phase of an interval begins',
+  restStarted: 'Rest phase begins, with the results of the rep just finished',
+  raceUpdate: 'Full race state with its sequence number `seq`: periodic snapshot, rejoin or resync',
+  raceDelta: 'Changes since the previous tick: { raceId, seq, race?, participants: [{ oderId, ...changed fields }] }',
+  raceDeltaBinary: 'raceDelta as a binary frame (see codec.js), to binary clients when the changes fit',
+  spectatorLeaderboard: 'Live standings, to spectators instead of race ticks: { raceId, status, elapsed, entries: [{ oderId, position, distance, pace, gap, gapSeconds, ... }] }',
+  raceCompleted: 'Race finished',
+  raceCancelled: 'Race stopped before completion: { raceId, lobbyId, reason, cancelledBy, note }',
+  actionError: 'A client action was refused: { action, code, message, details }'
+};
+
+// REST routes, keyed by "METHOD path"
+const REST_ROUTES = {
+  'GET /': { description: 'Server status' },
+  'GET /protocol': { description: 'This protocol spec' },
+  'GET /lobbies': { description: 'Lobbies for ?userId=' },
+  'GET /lobby/:id': { description: 'Get a lobby' },
+  'POST /api/lobby': { description: 'Create a lobby', schema: createLobby },
+  'POST /api/lobby/:id/join': { description: 'Join a lobby', schema: participant },
+  'POST /api/lobby/:id/bot': { description: 'Add a bot (creator only)', schema: object({ difficulty, pacing, paceBoat }) },
+  'POST /api/lobby/:id/ghost': {
+    description: 'Add a ghost (creator only)',
+    schema: object({ source: ghostSource }, ['source'])
+  },
+  'POST /api/lobby/:id/ready': { description: 'Mark yourself as ready', schema: object({ oderId: id }) },
+  'POST /api/lobby/:id/start': { description: 'Start the countdown (creator only)' },
+  'POST /api/lobby/:id/cancel': {
+    description: 'Cancel the countdown or race in progress (creator or admin)',
+    schema: object({ note: cancelNote })
+  },
+  'POST /api/race/:id/update': {
+    description: 'Send your race metrics',
+    schema: object({ oderId: id, ...metrics.properties }, metrics.required)
+  },
+  'GET /api/lobby/:id/payouts': { description: 'Prize pool and payout per place of a paid lobby' },
+  'POST /api/matchmaking': { description: 'Queue for a quick match', schema: matchRequest },
+  'POST /api/matchmaking/leave': { description: 'Leave the quick match queue' },
+  'GET /api/race/:id': { description: 'Get a race' },
+  'GET /api/race/:id/replay': { description: 'Race telemetry; ?interval=<ms>&maxPoints=<n>' },
+  'GET /api/user/:id/profile': { description: 'Get a user profile' },
+  'GET /api/user/:id/ratings': { description: 'Skill rating and its history, newest first; ?limit=<n>' },
+  'GET /api/user/:id/earnings': { description: 'Total prize earnings and the earnings ledger, newest first; ?limit=<n>' },
+  'POST /api/user/:id/profile': {
+    description: 'Save your profile',
+    schema: object({
+      displayName: { type: 'string', minLength: 1, maxLength: 64 },
+      email: { type: 'string', maxLength: 256 },
+      walletAddress: { type: 'string', maxLength: 64 }
+    })
+  },
+  'GET /api/admin/outbox': { description: 'Queued persistence writes (admin only); ?status=pending|failed&limit=<n>' },
+  'GET /api/admin/outbox/:id': { description: 'One queued persistence write with its arguments (admin only)' },
+  'POST /api/admin/outbox/replay': { description: 'Retry every failed persistence write (admin only)' },
+  'POST /api/admin/outbox/:id/replay': { description: 'Retry a failed persistence write (admin only)' }
+};
+
+const ERROR_STATUS = {
+  validation_error: 400,
+  unauthorized: 401,
+  not_creator: 403,
+  not_self: 403,
+  not_participant: 403,
+  not_admin: 403,
+  spectator_read_only: 403,
+  already_participant: 409,
+  already_in_lobby: 409,
+  not_spectating: 409,
+  wallet_required: 422,
+  lobby_full: 409,
+  lobby_not_waiting: 409,
+  participants_not_ready: 409,
+  deposit_pending: 409,
+  no_participants: 409,
+  race_not_active: 409,
+  race_not_finished: 409,
+  ghost_not_supported: 409,
+  ghost_trace_too_short: 422,
+  pace_boat_not_supported: 409,
+  internal_error: 500
+};
+
+const validators = {};
+for (const [name, entry] of [...Object.entries(SOCKET_EVENTS), ...Object.entries(REST_ROUTES)]) {
+  if (entry.schema) validators[name] = ajv.compile(entry.schema);
+}
+
+function ok(data) {
+  return { ok: true, data };
+}
+
+function fail(code, message, details) {
+  return { ok: false, error: { code, message, ...(details && { details }) } };
+}
+
+// Validate a payload against a socket event or REST route schema.
+// Returns a validation_error failure, or null if the payload is valid.
+function validate(name, payload) {
+  const validator = validators[name];
+  if (!validator || validator(payload === undefined ? null : payload)) return null;
+
+  const details = validator.errors.map(e => ({
+    path: e.instancePath || '/',
+    message: e.message
+  }));
+  const first = details[0];
+  return fail('validation_error', `Invalid payload: ${first.path} ${first.message}`, details);
+}
+
+function spectatorAllowed(event) {
+  return Boolean(SOCKET_EVENTS[event] && SOCKET_EVENTS[event].spectator);
+}
+
+function httpStatus(code) {
+  if (ERROR_STATUS[code]) return ERROR_STATUS[code];
+  return code.endsWith('_not_found') ? 404 : 400;
+}
+
+// Machine-readable description of the whole protocol
+function buildProtocolSpec() {
+  const schemaOf = entry => entry.schema || null;
+  return {
+    name: 'pm5-racing-server',
+    replies: {
+      socketAck: '{ ok: true, data } | { ok: false, error: { code, message, details } }',
+      rest: '<data> | { error, code, details } with an HTTP error status'
+    },
+    errors: ERROR_STATUS,
+    socket: {
+      handshake: { auth: { token: 'Firebase ID token', encoding: "'json' (default) | 'binary'" } },
+      clientToServer: Object.fromEntries(Object.entries(SOCKET_EVENTS).map(([event, entry]) => [
+        event,
+        { description: entry.description, payload: schemaOf(entry), spectator: Boolean(entry.spectator) }
+      ])),
+      serverToClient: SERVER_EVENTS
+    },
+    rest: Object.fromEntries(Object.entries(REST_ROUTES).map(([route, entry]) => [
+      route,
+      { description: entry.description, body: schemaOf(entry) }
+    ]))
+  };
+}
+
+module.exports = {
+  ok,
+  fail,
+  validate,
+  spectatorAllowed,
+  httpStatus,
+  buildProtocolSpec
+};
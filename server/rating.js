@@ -0,0 +1,84 @@
+// ============================================
+// SKILL RATING
+// ============================================
+//
+// Multiplayer Elo. A race counts as every pair of its rated racers racing
+// each other: the one placed ahead scores 1, a tie 0.5. Each human's rating
+// moves by K / (racers - 1) times the sum, over their opponents, of score
+// minus expected score. Bots are opponents at a fixed rating for their
+// difficulty and never change. Ghosts and pace boats are not rated: they are
+// a past performance or a pacer, not an opponent.
+//
+// Finishers are placed by position. A DNF places behind every finisher, a
+// disqualified racer behind everyone else; racers placed alike tie.
+
+const DEFAULT_RATING = 1500;
+
+const K_FACTOR = 32;
+
+// Fixed ratings of bot opponents, by difficulty (see BOT_CONFIGS in server.js)
+const BOT_RATINGS = {
+  easy: 1100,
+  medium: 1400,
+  hard: 1700,
+  elite: 2000
+};
+
+// Standing in the race: lower is better
+const DNF_STANDING = Number.MAX_SAFE_INTEGER - 1;
+const DISQUALIFIED_STANDING = Number.MAX_SAFE_INTEGER;
+
+function standing(p) {
+  if (p.disqualified) return DISQUALIFIED_STANDING;
+  return p.position || DNF_STANDING;
+}
+
+// A stored profile's rating; new users start at DEFAULT_RATING
+function currentRating(profile) {
+  return profile && Number.isFinite(profile.skillRating) ? profile.skillRating : DEFAULT_RATING;
+}
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function pairScore(p, opponent) {
+  const a = standing(p);
+  const b = standing(opponent);
+  return a < b ? 1 : a > b ? 0 : 0.5;
+}
+
+// ratings: oderId -> current rating of each human in the race.
+// Returns oderId -> { rating, change } for each human, empty if there is
+// nobody to race against.
+function rateRace(race, ratings) {
+  const racers = race.participants
+    .filter(p => !p.isGhost && !p.paceBoat)
+    .map(p => ({
+      p,
+      rating: p.isBot ? BOT_RATINGS[p.botDifficulty] || BOT_RATINGS.medium : ratings.get(p.oderId) || DEFAULT_RATING
+    }));
+
+  const changes = new Map();
+  if (racers.length < 2) return changes;
+
+  const k = K_FACTOR / (racers.length - 1);
+  for (const racer of racers) {
+    if (racer.p.isBot) continue;
+    let delta = 0;
+    for (const opponent of racers) {
+      if (opponent === racer) continue;
+      delta += pairScore(racer.p, opponent.p) - expectedScore(racer.rating, opponent.rating);
+    }
+    const change = Math.round(k * delta);
+    changes.set(racer.p.oderId, { rating: racer.rating + change, change });
+  }
+  return changes;
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  BOT_RATINGS,
+  currentRating,
+  rateRace
+};
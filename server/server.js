@@ -3,11 +3,31 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
-const firestore = require('./firestoreSync');
+const Redis = require('ioredis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const persistence = require('./persistence');
+const intervals = require('./intervals');
+const telemetry = require('./telemetry');
+const ghosts = require('./ghosts');
+const pacing = require('./pacing');
+const antiCheat = require('./antiCheat');
+const normalization = require('./normalization');
+const rating = require('./rating');
+const matchmaking = require('./matchmaking');
+const leaderboard = require('./leaderboard');
+const escrow = require('./escrow');
+const payouts = require('./payouts');
+const auth = require('./auth');
+const permissions = require('./permissions');
+const protocol = require('./protocol');
+const broadcast = require('./broadcast');
+const codec = require('./codec');
+const { createStore } = require('./store');
 
 const app = express();
 app.use(cors());
 app.use(express.json());
+app.use('/api', auth.requireAuth);
 
 const server = http.createServer(app);
 const io = new Server(server, {
@@ -18,44 +38,42 @@ const io = new Server(server, {
 });
 
 // ============================================
-// DATA STRUCTURES
+// SHARED STATE
 // ============================================
+//
+// Lobbies and races live in `store` (store.js). With REDIS_URL set they are
+// shared through Redis and socket.io broadcasts go through the Redis adapter,
+// so several instances can serve the same lobbies. Each race is run (countdown,
+// bots, clock) by the one instance holding its lease.
+
+const INSTANCE_ID = process.env.INSTANCE_ID || uuidv4();
+
+const redis = process.env.REDIS_URL ? new Redis(process.env.REDIS_URL) : null;
+if (redis) {
+  io.adapter(createAdapter(redis, redis.duplicate()));
+}
+const store = createStore(redis);
 
-// All active lobbies
-const lobbies = new Map();
+// ============================================
+// DATA STRUCTURES
+// ============================================
 
-// All active races
-const races = new Map();
+// Races running on this instance, until they end or another instance takes them over
+const localRaces = new Map();
 
-// Bot configurations by difficulty
+// Bot speed by difficulty (rower-equivalent); pacing.js shapes it over the race
 const BOT_CONFIGS = {
   easy: {
-    avgPace: 150,      // 2:30/500m pace in seconds
-    paceVariance: 10,
-    avgWatts: 120,
-    wattsVariance: 20,
-    speedMetersPerSec: 3.3  // ~2:30 pace
+    speedMetersPerSec: 3.3  // ~2:30/500m pace
   },
   medium: {
-    avgPace: 120,      // 2:00/500m pace
-    paceVariance: 8,
-    avgWatts: 180,
-    wattsVariance: 25,
-    speedMetersPerSec: 4.2  // ~2:00 pace
+    speedMetersPerSec: 4.2  // ~2:00/500m pace
   },
   hard: {
-    avgPace: 100,      // 1:40/500m pace
-    paceVariance: 5,
-    avgWatts: 250,
-    wattsVariance: 30,
-    speedMetersPerSec: 5.0  // ~1:40 pace
+    speedMetersPerSec: 5.0  // 1:40/500m pace
   },
   elite: {
-    avgPace: 90,       // 1:30/500m pace
-    paceVariance: 3,
-    avgWatts: 320,
-    wattsVariance: 35,
-    speedMetersPerSec: 5.6  // ~1:30 pace
+    speedMetersPerSec: 5.6  // ~1:30/500m pace
   }
 };
 
@@ -75,24 +93,60 @@ const BOT_WALLET_ADDRESS = "0x985d1755e5b1bfda8168f7b89e7758e49d365b47";
 
 function createLobby(data) {
   const lobbyId = uuidv4();
+  const raceType = ['time', 'interval'].includes(data.raceType) ? data.raceType : 'distance';
+  const intervalPlan = raceType === 'interval' ? intervals.normalizeIntervalPlan(data.intervalPlan) : null;
+  if (raceType === 'interval' && !intervalPlan) return null;
+
   const lobby = {
     id: lobbyId,
     creatorId: data.creatorId,
-    raceDistance: data.raceDistance,
+    raceType: raceType,
+    raceDistance: raceType === 'distance' ? data.raceDistance : null,
+    targetDuration: raceType === 'time' ? data.targetDuration : null, // seconds
+    intervalPlan: intervalPlan,
+    normalization: data.normalization || 'none',
+    maxDuration: data.maxDuration || null, // seconds, overrides the default time limit
     entryFee: data.entryFee || "0",
     payoutMode: data.payoutMode || "winner_takes_all",
     status: "waiting",
     maxParticipants: data.maxParticipants || 10,
     minParticipants: data.minParticipants || 2,
     createdAt: new Date().toISOString(),
-    participants: []
+    participants: [],
+    spectatorCount: 0
   };
-  lobbies.set(lobbyId, lobby);
   return lobby;
 }
 
-function getLobbyList() {
-  return Array.from(lobbies.values())
+// Load a lobby, apply `change` and save the lobby if the change succeeded. The
+// lobby's lock is held throughout so concurrent changes on other instances
+// aren't lost. `change` gets the lobby (null if unknown) and returns a protocol result.
+// Every saved change is also persisted, so a restart recovers participants and ready states.
+function updateLobby(lobbyId, change) {
+  return store.withLock(`lobby:${lobbyId}`, async () => {
+    const lobby = await store.getLobby(lobbyId);
+    const result = await change(lobby);
+    if (lobby && result.ok) {
+      await store.saveLobby(lobby, { expireMs: lobbyExpiry(lobby) });
+      persistence.syncLobbyUpdated(lobby);
+      syncEscrow(lobby);
+    }
+    return result;
+  });
+}
+
+// How long a closed lobby stays in the store, for its results in the lobby lists
+const CLOSED_LOBBY_TTL_MS = 60 * 60 * 1000;
+
+// Closed lobbies expire once escrow has no calls left to make for them
+function lobbyExpiry(lobby) {
+  if (lobby.status !== 'completed' && lobby.status !== 'cancelled') return null;
+  if (escrowService.enabled && escrow.nextCall(lobby)) return null;
+  return CLOSED_LOBBY_TTL_MS;
+}
+
+async function getLobbyList() {
+  return (await store.listLobbies())
     .filter(l => l.status === 'waiting' || l.status === 'completed')
     .map(l => ({
       ...l,
@@ -100,8 +154,12 @@ function getLobbyList() {
     }));
 }
 
-function getLobbyListForUser(userId) {
-  return Array.from(lobbies.values())
+async function getLobbyListForUser(userId) {
+  return lobbyListForUser(await store.listLobbies(), userId);
+}
+
+function lobbyListForUser(allLobbies, userId) {
+  return allLobbies
     .filter(l => {
       if (l.status !== 'waiting' && l.status !== 'completed') return false;
       // Show lobby if user is the creator or a participant
@@ -115,12 +173,21 @@ function getLobbyListForUser(userId) {
     }));
 }
 
-// Send filtered lobby lists to all connected sockets
+// Send filtered lobby lists to all connected sockets, here and on the other instances
 function broadcastLobbyLists() {
+  if (redis) io.serverSideEmit('lobbyListsChanged');
+  sendLocalLobbyLists().catch(error => {
+    console.error('Lobby list broadcast failed:', error.message);
+  });
+}
+
+// Lobby lists for the sockets connected to this instance
+async function sendLocalLobbyLists() {
+  const allLobbies = await store.listLobbies();
   for (const [, s] of io.sockets.sockets) {
     const userId = s.userId;
     if (userId) {
-      s.emit('lobbyList', getLobbyListForUser(userId));
+      s.emit('lobbyList', lobbyListForUser(allLobbies, userId));
     } else {
       // No userId identified yet — send empty list
       s.emit('lobbyList', []);
@@ -128,9 +195,13 @@ function broadcastLobbyLists() {
   }
 }
 
-function completeRace(lobbyId, race) {
-  const lobby = lobbies.get(lobbyId);
+function completeRace(lobby, race) {
   if (lobby) {
+    // Each participant's prize in an escrowed paid lobby (see payouts.js), kept
+    // with the results. Without escrow nobody is paid, so nobody gets a payout.
+    const prizes = escrowService.enabled ? payouts.racePayouts(lobby, race.participants, platformFeeBps) : null;
+    if (prizes) race.participants.forEach(p => { p.payout = prizes.get(p.oderId); });
+
     lobby.status = 'completed';
     lobby.raceId = race.id;
     lobby.raceResults = race.participants.map(p => ({
@@ -143,21 +214,33 @@ function completeRace(lobbyId, race) {
       pace: p.pace,
       watts: p.watts,
       isBot: p.isBot,
-      isFinished: p.isFinished
+      isGhost: p.isGhost || false,
+      isFinished: p.isFinished,
+      flagged: p.flagged || false,
+      disqualified: p.disqualified || false,
+      dnf: p.dnf || false,
+      violations: p.violations || [],
+      ...(race.raceType === 'interval' && { intervals: p.intervals }),
+      ...(normalization.isNormalized(race) && { rawDistance: p.rawDistance, rawPace: p.rawPace }),
+      ...(p.ratingChange !== undefined && { rating: p.rating, ratingChange: p.ratingChange }),
+      ...(p.payout !== undefined && { payout: p.payout })
     }));
   }
   return lobby;
 }
 
-function addParticipant(lobbyId, participant) {
-  const lobby = lobbies.get(lobbyId);
-  if (!lobby) return null;
-  if (lobby.participants.length >= lobby.maxParticipants) return null;
+// A racer joining as themselves, from the fields a client may choose
+function joiningParticipant(userId, { displayName, walletAddress, equipmentType }) {
+  return { id: userId, oderId: userId, displayName, walletAddress, equipmentType };
+}
 
+// Adds a human racer; bots, pace boats and ghosts have their own functions
+function addParticipant(lobby, participant) {
   // Check if already joined
-  if (lobby.participants.find(p => p.id === participant.id)) {
+  if (lobby && lobby.participants.find(p => p.id === participant.id)) {
     return lobby;
   }
+  if (joinError(lobby, participant)) return null;
 
   lobby.participants.push({
     id: participant.id,
@@ -165,19 +248,18 @@ function addParticipant(lobbyId, participant) {
     displayName: participant.displayName,
     walletAddress: participant.walletAddress || "",
     equipmentType: participant.equipmentType || "rower",
-    status: "deposited",
-    isBot: participant.isBot || false,
-    botDifficulty: participant.botDifficulty || null,
+    // In paid lobbies, humans wait for their entry fee to reach escrow
+    status: depositRequired(lobby) ? "pending_deposit" : "deposited",
+    isBot: false,
+    botDifficulty: null,
     joinedAt: new Date().toISOString()
   });
 
   return lobby;
 }
 
-function addBot(lobbyId, difficulty) {
-  const lobby = lobbies.get(lobbyId);
-  if (!lobby) return null;
-  if (lobby.participants.length >= lobby.maxParticipants) return null;
+function addBot(lobby, difficulty, botPacing) {
+  if (lobbyEntryError(lobby)) return null;
 
   const botId = `bot-${uuidv4().slice(0, 8)}`;
   const botName = BOT_NAMES[Math.floor(Math.random() * BOT_NAMES.length)];
@@ -193,6 +275,7 @@ function addBot(lobbyId, difficulty) {
     status: "ready",
     isBot: true,
     botDifficulty: difficulty,
+    botPacing: botPacing,
     joinedAt: new Date().toISOString()
   };
 
@@ -200,8 +283,102 @@ function addBot(lobbyId, difficulty) {
   return { lobby, bot };
 }
 
-function setParticipantReady(lobbyId, oderId) {
-  const lobby = lobbies.get(lobbyId);
+// Add a pace boat rowing exactly to a target split, watts or finish time
+// (see pacing.js). Returns a protocol result.
+function addPaceBoat(lobby, target) {
+  const entryError = lobbyEntryError(lobby);
+  if (entryError) return entryError;
+  if (lobby.raceType === 'interval') {
+    return protocol.fail('pace_boat_not_supported', 'Pace boats are not available in interval races');
+  }
+  if (target.finishTime && lobby.raceType !== 'distance') {
+    return protocol.fail('pace_boat_not_supported', 'A target finish time needs a distance race');
+  }
+
+  const plan = pacing.paceBoatPlan(target, lobby.raceDistance);
+  if (!plan) {
+    return protocol.fail('validation_error', 'The split profile plans a split faster than 1:00/500m');
+  }
+
+  const boatId = `bot-${uuidv4().slice(0, 8)}`;
+  lobby.participants.push({
+    id: boatId,
+    oderId: boatId,
+    displayName: `Pace Boat ${pacing.formatSplit(plan.split)}`,
+    walletAddress: BOT_WALLET_ADDRESS,
+    equipmentType: 'rower',
+    status: "ready",
+    isBot: true,
+    botDifficulty: null,
+    paceBoat: plan,
+    joinedAt: new Date().toISOString()
+  });
+  return protocol.ok(lobby);
+}
+
+// Add a ghost replaying a recorded performance (see ghosts.js for source types).
+// Loading the trace can fail in several ways, so this returns a protocol result.
+async function addGhost(lobbyId, source) {
+  const lobby = await store.getLobby(lobbyId);
+  const entryError = lobbyEntryError(lobby);
+  if (entryError) return entryError;
+  if (lobby.raceType === 'interval') {
+    return protocol.fail('ghost_not_supported', 'Ghosts are not available in interval races');
+  }
+
+  const resolved = await ghosts.resolveGhostSource(source);
+  if (!resolved) {
+    return protocol.fail('ghost_source_not_found', 'No recorded performance found for this ghost');
+  }
+
+  // A ghost that never reaches the line would keep a distance race open forever
+  const lineInTraceMeters = lobby.raceDistance / normalization.raceFactor(lobby, resolved);
+  if (lobby.raceType === 'distance' && ghosts.timeAtDistance(resolved.trace, lineInTraceMeters) === null) {
+    return protocol.fail('ghost_trace_too_short', 'The recorded performance does not reach the finish line');
+  }
+
+  const ghostId = `ghost-${uuidv4().slice(0, 8)}`;
+  const ghost = {
+    id: ghostId,
+    oderId: ghostId,
+    displayName: `Ghost: ${resolved.displayName}`,
+    walletAddress: "",
+    equipmentType: resolved.equipmentType,
+    status: "ready",
+    isBot: true,
+    isGhost: true,
+    ghostSource: {
+      type: source.type,
+      raceId: source.raceId || null,
+      oderId: source.oderId || source.userId || null
+    },
+    botDifficulty: null,
+    joinedAt: new Date().toISOString()
+  };
+
+  // The lobby may have filled up while the trace was loading
+  return updateLobby(lobbyId, async (current) => {
+    const lateError = lobbyEntryError(current);
+    if (lateError) return lateError;
+
+    // The instance that runs the race loads the trace from the store
+    await store.saveGhostTrace(ghostId, resolved.trace);
+    persistence.syncGhostTrace(ghostId, resolved.trace);
+    current.participants.push(ghost);
+    return protocol.ok({ lobby: current, ghost });
+  });
+}
+
+// Why a participant can't ready up, or null if they can
+function readyError(lobby, oderId) {
+  const participant = lobby && lobby.participants.find(p => p.oderId === oderId);
+  if (participant && participant.status === 'pending_deposit') {
+    return protocol.fail('deposit_pending', 'Your entry fee deposit has not been confirmed yet');
+  }
+  return null;
+}
+
+function setParticipantReady(lobby, oderId) {
   if (!lobby) return null;
 
   const participant = lobby.participants.find(p => p.oderId === oderId);
@@ -212,35 +389,101 @@ function setParticipantReady(lobbyId, oderId) {
   return lobby;
 }
 
-function removeParticipant(lobbyId, oderId) {
-  const lobby = lobbies.get(lobbyId);
+async function removeParticipant(lobby, oderId) {
   if (!lobby) return null;
 
+  const leaving = lobby.participants.find(p => p.oderId === oderId);
+  if (leaving) await deleteGhostTraces([leaving]);
+
   lobby.participants = lobby.participants.filter(p => p.oderId !== oderId);
+
+  // The last human left a lobby that was waiting to race: close it
+  if (leaving && !leaving.isBot && lobby.status === 'waiting' && !lobby.participants.some(p => !p.isBot)) {
+    lobby.status = 'cancelled';
+    await deleteGhostTraces(lobby.participants);
+    console.log(`Lobby ${lobby.id} abandoned`);
+  }
   return lobby;
 }
 
+// Why a new participant (human, bot or ghost) can't enter the lobby, or null if they can
+function lobbyEntryError(lobby) {
+  if (!lobby) return protocol.fail('lobby_not_found', 'Lobby not found');
+  if (lobby.status === 'in_progress') {
+    return protocol.fail('lobby_not_waiting', 'The race in this lobby has already started');
+  }
+  if (lobby.status === 'cancelled') {
+    return protocol.fail('lobby_not_waiting', 'This lobby has been cancelled');
+  }
+  if (lobby.participants.length >= lobby.maxParticipants) {
+    return protocol.fail('lobby_full', 'Lobby is full');
+  }
+  return null;
+}
+
+// Why a human can't join the lobby, or null if they can: in a paid lobby they
+// need a wallet to deposit the entry fee from and to be paid a prize
+function joinError(lobby, participant) {
+  const entryError = lobbyEntryError(lobby);
+  if (entryError) return entryError;
+  if (escrow.isPaidLobby(lobby) && !escrow.isWallet(participant.walletAddress)) {
+    return protocol.fail('wallet_required', 'A paid lobby needs a valid walletAddress');
+  }
+  return null;
+}
+
+// Why the race can't start, or null if it can
+function startRaceError(lobby) {
+  if (!lobby) return protocol.fail('lobby_not_found', 'Lobby not found');
+  if (lobby.status === 'in_progress') {
+    return protocol.fail('lobby_not_waiting', 'The race in this lobby has already started');
+  }
+  if (lobby.status === 'cancelled') {
+    return protocol.fail('lobby_not_waiting', 'This lobby has been cancelled');
+  }
+  if (lobby.participants.length === 0) {
+    return protocol.fail('no_participants', 'Nobody has joined this lobby');
+  }
+  // Paid races start only once every entry fee is in escrow
+  const pendingDeposit = lobby.participants.filter(p => p.status === 'pending_deposit');
+  if (pendingDeposit.length > 0) {
+    return protocol.fail('deposit_pending', 'Not every entry fee deposit has been confirmed', {
+      pendingDeposit: pendingDeposit.map(p => p.oderId)
+    });
+  }
+  // Check all participants are ready
+  const notReady = lobby.participants.filter(p => p.status !== 'ready' && !p.isBot);
+  if (notReady.length > 0) {
+    return protocol.fail('participants_not_ready', 'Not all participants are ready', {
+      notReady: notReady.map(p => p.oderId)
+    });
+  }
+  return null;
+}
+
 // ============================================
 // RACE MANAGEMENT
 // ============================================
 
-function startRace(lobbyId) {
-  const lobby = lobbies.get(lobbyId);
-  if (!lobby) return null;
-
-  // Check all participants are ready
-  const allReady = lobby.participants.every(p => p.status === 'ready' || p.isBot);
-  if (!allReady) return null;
+function startRace(lobby) {
+  if (startRaceError(lobby)) return null;
 
   lobby.status = 'in_progress';
 
   const raceId = uuidv4();
   const race = {
     id: raceId,
-    lobbyId: lobbyId,
+    lobbyId: lobby.id,
     status: 'active',
+    countdown: RACE_COUNTDOWN_SECONDS,
     startTime: null,
+    raceType: lobby.raceType || 'distance',
     targetDistance: lobby.raceDistance,
+    targetDuration: lobby.targetDuration || null,
+    maxDuration: raceTimeLimit(lobby),
+    normalization: lobby.normalization || 'none',
+    raceKey: codec.raceKeyFor(raceId),
+    spectatorCount: lobby.spectatorCount || 0,
     participants: lobby.participants.map(p => ({
       id: p.id,
       oderId: p.oderId,
@@ -248,258 +491,1242 @@ function startRace(lobbyId) {
       walletAddress: p.walletAddress || "",
       equipmentType: p.equipmentType,
       isBot: p.isBot,
+      isGhost: p.isGhost || false,
       botDifficulty: p.botDifficulty,
+      ...(p.isBot && !p.isGhost && { botPacing: p.botPacing || 'even', strokeRate: 0 }),
+      ...(p.paceBoat && { paceBoat: p.paceBoat }),
       distance: 0,
       pace: 0,
       watts: 0,
       isFinished: false,
       finishTime: null,
-      position: null
+      position: null,
+      disconnected: false,
+      dnf: false
     })),
     finishedCount: 0
   };
 
-  races.set(raceId, race);
+  if (normalization.isNormalized(race)) {
+    race.participants.forEach(p => {
+      p.rawDistance = 0;
+      p.rawPace = 0;
+    });
+  }
+
+  if (race.raceType === 'interval') {
+    intervals.initIntervalRace(race, lobby.intervalPlan);
+  }
+
   return race;
 }
 
-function updateRaceParticipant(raceId, oderId, metrics) {
-  const race = races.get(raceId);
-  if (!race) return null;
-
+// Apply a racer's metrics, received at `now`, to a race this instance runs
+function updateRaceParticipant(race, oderId, metrics, now) {
   const participant = race.participants.find(p => p.oderId === oderId);
   if (!participant || participant.isFinished) return race;
+  if (race.status !== 'racing') return race;
 
-  participant.distance = metrics.distance;
-  participant.pace = metrics.pace;
-  participant.watts = metrics.watts;
+  // Meters rowed after the clock runs out don't count
+  if (isTimeExpired(race, now)) return race;
 
-  // Check if finished
-  if (participant.distance >= race.targetDistance && !participant.isFinished) {
-    participant.isFinished = true;
-    participant.finishTime = Date.now() - race.startTime;
-    race.finishedCount++;
-    participant.position = race.finishedCount;
+  // Reject implausible updates before they touch the race
+  if (!antiCheat.checkMetrics(race, participant, metrics, now)) return race;
+
+  if (race.raceType === 'interval') {
+    intervals.applyIntervalMetrics(race, participant, metrics, now);
+  } else {
+    // Mixed-equipment races go by rower-equivalent figures
+    const figures = normalization.normalizeMetrics(race, participant, metrics, now);
+    participant.distance = figures.distance;
+    participant.pace = figures.pace;
+    participant.watts = figures.watts;
+
+    // Check if finished (time races are ranked when the clock runs out, not per participant)
+    if (race.raceType !== 'time' && participant.distance >= race.targetDistance && !participant.isFinished) {
+      participant.isFinished = true;
+      participant.finishTime = now - race.startTime;
+      race.finishedCount++;
+      participant.position = race.finishedCount;
+    }
   }
 
+  telemetry.recordSample(race, participant, now);
   return race;
 }
 
 function simulateBots(race) {
   if (!race || race.status !== 'racing') return;
 
-  const elapsedMs = Date.now() - race.startTime;
-  const elapsedSec = elapsedMs / 1000;
-
-  race.participants.forEach(p => {
-    if (!p.isBot || p.isFinished) return;
+  if (race.raceType === 'interval') {
+    return intervals.simulateIntervalBots(race, BOT_CONFIGS, Date.now());
+  }
 
-    const config = BOT_CONFIGS[p.botDifficulty] || BOT_CONFIGS.medium;
+  const now = Date.now();
+  const elapsedMs = now - race.startTime;
+  const isTimeRace = race.raceType === 'time';
+  // Bots stop rowing when the clock runs out in a time race
+  const clockEnd = isTimeRace ? Math.min(now, race.startTime + race.targetDuration * 1000) : now;
 
-    // Add some variance to make it realistic
-    const variance = (Math.random() - 0.5) * 0.2;
-    const speed = config.speedMetersPerSec * (1 + variance);
+  // Ghosts follow their recorded trace instead of a bot config
+  ghosts.simulateGhosts(race);
 
-    // Ensure distance never decreases (variance could otherwise cause backwards movement)
-    const newDistance = Math.min(elapsedSec * speed, race.targetDistance);
-    p.distance = Math.max(p.distance, newDistance);
-    p.pace = config.avgPace + (Math.random() - 0.5) * config.paceVariance;
-    p.watts = Math.round(config.avgWatts + (Math.random() - 0.5) * config.wattsVariance);
+  const leader = pacing.leadingHuman(race.participants);
+  race.participants.forEach(p => {
+    if (!p.isBot || p.isGhost || p.isFinished) return;
+
+    let distance;
+    let speed;
+    if (p.paceBoat) {
+      // Pace boats row exactly to plan
+      distance = pacing.paceBoatDistance(p.paceBoat, (clockEnd - race.startTime) / 1000);
+      speed = 500 / pacing.paceBoatSplit(p.paceBoat, distance);
+    } else {
+      const config = BOT_CONFIGS[p.botDifficulty] || BOT_CONFIGS.medium;
+      const progress = isTimeRace
+        ? (clockEnd - race.startTime) / 1000 / race.targetDuration
+        : p.distance / race.targetDistance;
+      speed = pacing.botSpeed(p, config.speedMetersPerSec, { progress, distance: p.distance, leader });
+      distance = p.distance + speed * pacing.rowingTime(p, race.startTime, clockEnd);
+    }
+    p.distance = isTimeRace ? distance : Math.min(distance, race.targetDistance);
+    Object.assign(p, pacing.strokeData(p.equipmentType, speed));
 
-    // Check if bot finished
-    if (p.distance >= race.targetDistance && !p.isFinished) {
+    // Check if bot finished (time races finish everyone at once in finishTimeRace)
+    if (!isTimeRace && p.distance >= race.targetDistance && !p.isFinished) {
       p.isFinished = true;
-      p.finishTime = elapsedMs;
+      p.finishTime = p.paceBoat ? Math.round(pacing.paceBoatTime(p.paceBoat, race.targetDistance) * 1000) : elapsedMs;
       race.finishedCount++;
       p.position = race.finishedCount;
     }
   });
 
+  normalization.updateBotRawFigures(race);
+  return race;
+}
+
+// Returns true once a time race's clock has run out
+function isTimeExpired(race, now = Date.now()) {
+  if (race.raceType !== 'time' || !race.startTime) return false;
+  return now - race.startTime >= race.targetDuration * 1000;
+}
+
+// End a time race: everyone finishes at the target duration, ranked by meters covered
+function finishTimeRace(race) {
+  const durationMs = race.targetDuration * 1000;
+  const ranked = race.participants
+    .filter(p => !p.isFinished)
+    .sort((a, b) => b.distance - a.distance);
+
+  ranked.forEach(p => {
+    p.isFinished = true;
+    p.finishTime = durationMs;
+    race.finishedCount++;
+    p.position = race.finishedCount;
+  });
+
   return race;
 }
 
+// Rate the humans of a completed race (see rating.js): sets each one's new
+// `rating` and `ratingChange`, which go out with the results. The stored
+// ratings are updated with the user stats.
+async function rateRace(race) {
+  const humans = race.participants.filter(p => !p.isBot);
+  const profiles = await Promise.all(humans.map(p => persistence.getUserProfile(p.oderId)));
+  const current = new Map(humans.map((p, i) => [p.oderId, rating.currentRating(profiles[i])]));
+
+  for (const [oderId, result] of rating.rateRace(race, current)) {
+    const p = race.participants.find(x => x.oderId === oderId);
+    p.rating = result.rating;
+    p.ratingChange = result.change;
+  }
+}
+
+// Complete the race if everyone is done (or the clock ran out), notify clients and sync results
+async function checkRaceCompletion(race) {
+  if (race.status !== 'racing') return false;
+
+  if (isTimeExpired(race)) {
+    finishTimeRace(race);
+  }
+
+  const allFinished = race.participants.every(p => p.isFinished);
+  if (!allFinished) return false;
+
+  // Every human dropped out or was disqualified: nothing to award
+  const humans = race.participants.filter(p => !p.isBot);
+  if (humans.length > 0 && !humans.some(p => p.position)) {
+    await cancelRace(race, { reason: 'abandoned' });
+    return true;
+  }
+
+  race.status = 'completed';
+  telemetry.recordFinalSamples(race);
+  await rateRace(race);
+  const { data: completedLobby } = await updateLobby(race.lobbyId, lobby => protocol.ok(completeRace(lobby, race)));
+  io.to(`lobby:${race.lobbyId}`).emit('raceCompleted', broadcast.publicRace(race));
+  broadcastLobbyLists();
+
+  if (!race.persisted) {
+    race.persisted = true;
+    // Telemetry first: the outbox applies writes in order, so a replay that
+    // finds the race also finds its samples
+    persistence.syncRaceTelemetry(race.id, telemetry.getTimeline(race.id));
+    persistence.syncRaceCompleted(race);
+    if (completedLobby) persistence.syncLobbyCompleted(completedLobby);
+    persistence.updateUserStats(race);
+    persistence.updatePersonalBests(race);
+  }
+  return true;
+}
+
+// ---- time limits and cancellation ----
+
+// Default time limit: the target at a slow pace (seconds per 500m) plus a grace period
+const RACE_TIMEOUT_PACE = parseInt(process.env.RACE_TIMEOUT_PACE, 10) || 300;
+const RACE_TIMEOUT_GRACE_SECONDS = parseInt(process.env.RACE_TIMEOUT_GRACE_SECONDS, 10) || 120;
+
+// Longest a race in this lobby may run, in seconds
+function raceTimeLimit(lobby) {
+  if (lobby.maxDuration) return lobby.maxDuration;
+
+  const secondsFor = meters => meters / 500 * RACE_TIMEOUT_PACE;
+  let target;
+  if (lobby.raceType === 'time') {
+    target = lobby.targetDuration;
+  } else if (lobby.raceType === 'interval') {
+    const plan = lobby.intervalPlan;
+    const work = plan.workType === 'time' ? plan.workDuration : secondsFor(plan.workDistance);
+    target = plan.repeats * work + (plan.repeats - 1) * plan.restDuration;
+  } else {
+    target = secondsFor(lobby.raceDistance);
+  }
+  return Math.ceil(target + RACE_TIMEOUT_GRACE_SECONDS);
+}
+
+function isRaceOverTime(race) {
+  return race.startTime !== null && Date.now() - race.startTime >= race.maxDuration * 1000;
+}
+
+// Did not finish: out of the race without a position
+function setDnf(participant) {
+  participant.dnf = true;
+  participant.isFinished = true;
+  participant.finishTime = null;
+  participant.position = null;
+}
+
+// Time limit reached: everyone still rowing is DNF
+function timeOutRace(race) {
+  race.timedOut = true;
+  race.participants.forEach(p => {
+    if (!p.isFinished) setDnf(p);
+  });
+  console.log(`Race ${race.id} timed out after ${race.maxDuration}s`);
+}
+
+// The countdown or the race in progress for a lobby, if any
+async function getActiveRace(lobbyId) {
+  return (await store.listActiveRaces()).find(r => r.lobbyId === lobbyId);
+}
+
+// Stop a race before it completes.
+//   reason 'cancelled': by the creator or an admin; the lobby goes back to waiting for a restart
+//   reason 'abandoned': nobody is left to finish; the lobby is closed
+async function cancelRace(race, { reason, cancelledBy = null, note = null }) {
+  const abandoned = reason === 'abandoned';
+  race.status = abandoned ? 'abandoned' : 'cancelled';
+  race.cancelReason = reason;
+  race.cancelledBy = cancelledBy;
+  race.cancelNote = note;
+  race.cancelledAt = new Date().toISOString();
+
+  const { data: lobby } = await updateLobby(race.lobbyId, (current) => {
+    if (!current) return protocol.fail('lobby_not_found', 'Lobby not found');
+    if (abandoned) {
+      current.status = 'cancelled';
+    } else {
+      reopenLobby(current);
+    }
+    return protocol.ok(current);
+  });
+
+  const lobbyRoom = `lobby:${race.lobbyId}`;
+  io.to(lobbyRoom).emit('raceCancelled', {
+    raceId: race.id,
+    lobbyId: race.lobbyId,
+    reason,
+    cancelledBy,
+    note
+  });
+  if (lobby) io.to(lobbyRoom).emit('lobbyUpdated', lobby);
+  broadcastLobbyLists();
+  persistence.syncRaceCancelled(race, lobby);
+  console.log(`Race ${race.id} ${race.status}${cancelledBy ? ` by ${cancelledBy}` : ''}`);
+}
+
+// Back to waiting after the race stopped early: everyone readies up again before a restart
+function reopenLobby(lobby) {
+  lobby.status = 'waiting';
+  lobby.participants.forEach(p => {
+    if (!p.isBot) p.status = 'deposited';
+  });
+}
+
+// JSON clients get the tick as is; binary clients get deltas as binary frames when the
+// changes fit. Spectators get the standings instead, built only if someone is watching.
+function emitRaceTick(race, update) {
+  const lobbyRoom = `lobby:${race.lobbyId}`;
+  const spectators = `${lobbyRoom}:spectators`;
+  if (race.spectatorCount > 0) {
+    io.to(spectators).emit('spectatorLeaderboard', leaderboard.buildLeaderboard(race));
+  }
+  const frame = update.event === 'raceDelta' ? codec.encodeDelta(race, update.payload) : null;
+  if (!frame) {
+    io.to(lobbyRoom).except(spectators).emit(update.event, update.payload);
+    return;
+  }
+  io.to(lobbyRoom).except([`${lobbyRoom}:binary`, spectators]).emit(update.event, update.payload);
+  io.to(`${lobbyRoom}:binary`).emit('raceDeltaBinary', frame);
+}
+
+// Drive work/rest phase changes of an interval race and notify clients
+function advanceIntervals(race) {
+  const lobbyRoom = `lobby:${race.lobbyId}`;
+  const transition = intervals.tickIntervals(race, Date.now());
+
+  if (transition === 'restStarted') {
+    io.to(lobbyRoom).emit('restStarted', {
+      raceId: race.id,
+      interval: race.currentInterval,
+      restDuration: race.intervalPlan.restDuration,
+      results: intervals.getRepResults(race, race.currentInterval)
+    });
+  } else if (transition === 'intervalStarted') {
+    emitIntervalStarted(race);
+  }
+}
+
+function emitIntervalStarted(race) {
+  const plan = race.intervalPlan;
+  io.to(`lobby:${race.lobbyId}`).emit('intervalStarted', {
+    raceId: race.id,
+    interval: race.currentInterval,
+    repeats: plan.repeats,
+    workType: plan.workType,
+    workDistance: plan.workDistance,
+    workDuration: plan.workDuration
+  });
+}
+
+// ---- race loop ----
+
+// A race's lease is renewed every tick; if its instance dies the lease runs out
+const RACE_LEASE_MS = 10000;
+
+const RACE_COUNTDOWN_SECONDS = 5;
+
+// How often a race in progress is persisted for crash recovery
+const RACE_CHECKPOINT_MS = (parseInt(process.env.RACE_CHECKPOINT_SECONDS, 10) || 5) * 1000;
+
+// raceId -> when this instance last persisted the race
+const checkpoints = new Map();
+
+// Run an async step every `ms` until it returns true. Steps never overlap.
+function loop(ms, step) {
+  setTimeout(async () => {
+    let done = false;
+    try {
+      done = await step();
+    } catch (error) {
+      console.error('Race loop step failed:', error);
+    }
+    if (!done) loop(ms, step);
+  }, ms);
+}
+
+// Drop what this instance keeps in memory for a race it no longer runs
+function forgetRace(race) {
+  localRaces.delete(race.id);
+  telemetry.discardTimeline(race.id);
+  broadcast.endStream(race.id);
+  checkpoints.delete(race.id);
+  race.participants.forEach(p => {
+    if (p.isGhost) ghosts.removeTrace(p.id);
+  });
+}
+
+// Renew this instance's lease on the race; false if another instance took it over
+async function holdRace(race) {
+  if (await store.acquireLease(`race:${race.id}`, INSTANCE_ID, RACE_LEASE_MS)) return true;
+  console.warn(`Race ${race.id}: lease lost, no longer running it here`);
+  forgetRace(race);
+  return false;
+}
+
+// The race is over; its results and telemetry are in the outbox on their way to persistence.
+// A cancelled race returns to its lobby, which keeps its ghosts for the restart.
+async function releaseRace(race) {
+  forgetRace(race);
+  if (race.status !== 'cancelled') await deleteGhostTraces(race.participants);
+  await store.releaseLease(`race:${race.id}`, INSTANCE_ID);
+}
+
+// Persist the race so a restart can resume it: at most every RACE_CHECKPOINT_MS,
+// or right away with `force`. The snapshot is dropped when the race is synced as
+// completed or cancelled.
+function checkpointRace(race, force = false) {
+  const now = Date.now();
+  if (!force && now - (checkpoints.get(race.id) || 0) < RACE_CHECKPOINT_MS) return;
+  checkpoints.set(race.id, now);
+  persistence.syncRaceSnapshot(race);
+}
+
+// Delete the stored traces of the ghosts among `participants`, once no race will replay them
+async function deleteGhostTraces(participants) {
+  for (const p of participants) {
+    if (!p.isGhost) continue;
+    await store.deleteGhostTrace(p.id);
+    persistence.deleteGhostTrace(p.id);
+  }
+}
+
+// Ghost traces were stored by whichever instance added the ghost, and
+// persisted in case the store was lost in a restart
+async function loadGhostTraces(race) {
+  for (const p of race.participants) {
+    if (!p.isGhost) continue;
+    const trace = await store.getGhostTrace(p.id) || await persistence.getGhostTrace(p.id);
+    if (trace) ghosts.storeTrace(p.id, trace);
+  }
+}
+
+// Apply the commands queued for this race by any instance since the last tick
+async function applyRaceCommands(race) {
+  const commands = await store.takeRaceCommands(race.id);
+  for (const command of commands) {
+    const participant = race.participants.find(p => p.oderId === command.oderId);
+    if (command.type === 'metrics') {
+      updateRaceParticipant(race, command.oderId, command.metrics, command.at);
+    } else if (command.type === 'disconnected') {
+      markDisconnected(race, participant, command.at);
+    } else if (command.type === 'reconnected') {
+      markReconnected(race, participant);
+    } else if (command.type === 'left') {
+      markLeft(race, participant);
+    } else if (command.type === 'spectators') {
+      race.spectatorCount = command.count;
+    } else if (command.type === 'cancel' && (race.status === 'active' || race.status === 'racing')) {
+      await cancelRace(race, { reason: 'cancelled', cancelledBy: command.cancelledBy, note: command.note });
+    }
+  }
+}
+
+// 5 second countdown, then the bot simulation / race clock loop.
+// Runs on the instance that holds the race's lease. A recovered race
+// continues its countdown, or goes straight to the race loop.
+async function runRace(race) {
+  localRaces.set(race.id, race);
+  await loadGhostTraces(race);
+
+  if (race.status === 'racing') {
+    loop(500, () => raceTick(race));
+    return;
+  }
+
+  loop(1000, async () => {
+    if (!(await holdRace(race))) return true;
+    await applyRaceCommands(race);
+    // Cancelled during the countdown
+    if (race.status !== 'active') {
+      await store.saveRace(race);
+      await releaseRace(race);
+      return true;
+    }
+    expireDisconnects(race);
+
+    io.to(`lobby:${race.lobbyId}`).emit('countdown', race.countdown);
+    race.countdown--;
+    if (race.countdown >= 0) {
+      await store.saveRace(race);
+      return false;
+    }
+
+    race.startTime = Date.now();
+    race.status = 'racing';
+    if (race.raceType === 'interval') {
+      intervals.startWorkPhase(race, race.startTime);
+    }
+    await store.saveRace(race);
+    checkpointRace(race, true);
+    io.to(`lobby:${race.lobbyId}`).emit('raceStarted', { ...broadcast.publicRace(race), participantIndex: codec.participantIndex(race) });
+    if (race.raceType === 'interval') {
+      emitIntervalStarted(race);
+    }
+
+    loop(500, () => raceTick(race)); // Update every 500ms
+    return true;
+  });
+}
+
+// One race tick: merge queued metrics, move the bots and broadcast everything
+// that changed since the last tick. Returns true once the race is over.
+async function raceTick(race) {
+  if (!(await holdRace(race))) return true;
+  await applyRaceCommands(race);
+
+  if (race.status === 'racing') {
+    expireDisconnects(race);
+    simulateBots(race);
+    telemetry.recordBotSamples(race);
+    if (race.raceType === 'interval') {
+      advanceIntervals(race);
+    }
+    const update = broadcast.tick(race);
+    if (update) {
+      emitRaceTick(race, update);
+    }
+
+    if (isRaceOverTime(race)) {
+      timeOutRace(race);
+    }
+    await checkRaceCompletion(race);
+  }
+
+  await store.saveRace(race);
+  if (race.status === 'racing') {
+    checkpointRace(race);
+    return false;
+  }
+  await releaseRace(race);
+  return true;
+}
+
+// ============================================
+// DISCONNECTS
+// ============================================
+
+// How long a racer who drops has to come back through rejoinLobby before they are marked DNF
+const DISCONNECT_GRACE_MS = (parseInt(process.env.DISCONNECT_GRACE_SECONDS, 10) || 30) * 1000;
+
+// True if the user still has a socket open on any instance (a second device or a quick reconnect)
+async function isUserConnected(userId) {
+  const sockets = await io.in(`user:${userId}`).fetchSockets();
+  return sockets.length > 0;
+}
+
+// Human racers still rowing in races that haven't completed (including the countdown)
+async function activeRaceEntries(userId, lobbyId) {
+  const entries = [];
+  for (const race of await store.listActiveRaces()) {
+    if (lobbyId && race.lobbyId !== lobbyId) continue;
+    const participant = race.participants.find(p => p.oderId === userId && !p.isBot && !p.isFinished);
+    if (participant) entries.push({ race, participant });
+  }
+  return entries;
+}
+
+// The instance running each race applies the change on its next tick
+async function handleUserDisconnected(userId) {
+  for (const { race } of await activeRaceEntries(userId)) {
+    await store.pushRaceCommand(race.id, { type: 'disconnected', oderId: userId, at: Date.now() });
+  }
+}
+
+// Someone left a lobby whose race is on; the instance running it marks them DNF
+async function handleParticipantLeft(lobbyId, oderId) {
+  const race = await getActiveRace(lobbyId);
+  if (race && race.participants.some(p => p.oderId === oderId && !p.isFinished)) {
+    await store.pushRaceCommand(race.id, { type: 'left', oderId });
+  }
+}
+
+async function handleUserReconnected(userId, lobbyId) {
+  for (const { race, participant } of await activeRaceEntries(userId, lobbyId)) {
+    if (!participant.disconnected) continue;
+    await store.pushRaceCommand(race.id, { type: 'reconnected', oderId: userId });
+  }
+}
+
+function markDisconnected(race, participant, at) {
+  if (!participant || participant.isFinished) return;
+  participant.disconnected = true;
+  participant.disconnectedAt = at;
+  console.log(`Race ${race.id}: ${participant.displayName} disconnected, ${DISCONNECT_GRACE_MS / 1000}s to rejoin`);
+}
+
+function markReconnected(race, participant) {
+  if (!participant || !participant.disconnected || participant.isFinished) return;
+  participant.disconnected = false;
+  participant.disconnectedAt = null;
+  console.log(`Race ${race.id}: ${participant.displayName} reconnected`);
+}
+
+// Left the lobby during the countdown or race: out of the race straight away
+function markLeft(race, participant) {
+  if (!participant || participant.isFinished) return;
+  setDnf(participant);
+  console.log(`Race ${race.id}: ${participant.displayName} DNF after leaving`);
+}
+
+// Grace period over: the racer did not finish, so the race can complete without them
+function expireDisconnects(race, now = Date.now()) {
+  race.participants.forEach(p => {
+    if (!p.disconnected || p.isFinished || now - p.disconnectedAt < DISCONNECT_GRACE_MS) return;
+    setDnf(p);
+    console.log(`Race ${race.id}: ${p.displayName} DNF after disconnect`);
+  });
+}
+
+// ============================================
+// MATCHMAKING
+// ============================================
+
+// Most racers matched into one lobby, and how long a smaller group waits to fill up
+const MATCH_SIZE = parseInt(process.env.MATCH_SIZE, 10) || 4;
+const MATCH_FILL_MS = (parseInt(process.env.MATCH_FILL_SECONDS, 10) || 10) * 1000;
+const MATCHMAKING_INTERVAL_MS = 1000;
+
+// The waiting or racing lobby the user has joined, if any
+async function seatedLobby(userId) {
+  return (await store.listLobbies()).find(lobby =>
+    ['waiting', 'in_progress'].includes(lobby.status) && lobby.participants.some(p => p.oderId === userId)) || null;
+}
+
+// Queue the user for a quick match (see matchmaking.js) with their stored
+// rating. Queuing again replaces the ticket. Users already in a lobby can't queue.
+async function joinMatchmaking(user, data) {
+  if (escrow.isPaidLobby(data) && !escrow.isWallet(data.walletAddress)) {
+    return protocol.fail('wallet_required', 'A paid match needs a valid walletAddress');
+  }
+  const seated = await seatedLobby(user.uid);
+  if (seated) {
+    return protocol.fail('already_in_lobby', 'Leave your lobby before queueing for a match', { lobbyId: seated.id });
+  }
+  const profile = await persistence.getUserProfile(user.uid);
+  const ticket = {
+    userId: user.uid,
+    displayName: data.displayName || user.displayName || 'Rower',
+    walletAddress: data.walletAddress || '',
+    raceDistance: data.raceDistance,
+    equipmentType: data.equipmentType || 'rower',
+    entryFee: data.entryFee || '0',
+    rating: rating.currentRating(profile),
+    queuedAt: Date.now()
+  };
+  await store.withLock('matchmaking', () => store.saveTicket(ticket));
+  console.log(`${ticket.displayName} queued for a ${ticket.raceDistance}m match (rating ${ticket.rating})`);
+  return protocol.ok(ticket);
+}
+
+async function leaveMatchmaking(userId) {
+  const ticket = await store.withLock('matchmaking', async () => {
+    const queued = await store.getTicket(userId);
+    if (queued) await store.deleteTicket(userId);
+    return queued;
+  });
+  return ticket ? protocol.ok(ticket) : protocol.fail('ticket_not_found', 'You are not queued for a match');
+}
+
+// A lobby for a matched group, with the longest-waiting racer as its creator.
+// It has the usual room, for bots and anyone else the racers invite.
+async function createMatchLobby(group) {
+  const [first] = group;
+  const lobby = createLobby({
+    creatorId: first.userId,
+    raceDistance: first.raceDistance,
+    entryFee: first.entryFee
+  });
+  for (const ticket of group) {
+    addParticipant(lobby, joiningParticipant(ticket.userId, ticket));
+  }
+  await store.saveLobby(lobby);
+  persistence.syncLobbyCreated(lobby);
+  syncEscrow(lobby);
+  console.log(`Match found: lobby ${lobby.id} for ${group.map(t => t.displayName).join(', ')}`);
+  return lobby;
+}
+
+// Put the matched racers' sockets, on any instance, in the lobby room and tell them
+async function announceMatch(lobby) {
+  const userRooms = lobby.participants.map(p => `user:${p.oderId}`);
+  for (const s of await io.in(userRooms).fetchSockets()) {
+    const binary = codec.negotiateEncoding(s.handshake.auth) === 'binary';
+    s.join(binary ? [`lobby:${lobby.id}`, `lobby:${lobby.id}:binary`] : `lobby:${lobby.id}`);
+  }
+  io.to(userRooms).emit('matchFound', lobby);
+}
+
+// Match the queued tickets. One instance matches at a time: the holder of the
+// matchmaker lease, taken over by another if it dies.
+async function runMatchmaking() {
+  if (!(await store.acquireLease('matchmaker', INSTANCE_ID, MATCHMAKING_INTERVAL_MS * 3))) return;
+
+  const lobbies = await store.withLock('matchmaking', async () => {
+    const tickets = await store.listTickets();
+    const groups = matchmaking.findMatches(tickets, Date.now(), { size: MATCH_SIZE, fillMs: MATCH_FILL_MS });
+    const created = [];
+    for (const group of groups) {
+      created.push(await createMatchLobby(group));
+      for (const ticket of group) await store.deleteTicket(ticket.userId);
+    }
+    return created;
+  });
+
+  for (const lobby of lobbies) await announceMatch(lobby);
+  if (lobbies.length > 0) broadcastLobbyLists();
+}
+
+// ============================================
+// ESCROW
+// ============================================
+
+// Paid lobbies' contract calls (see escrow.js) are made by one instance at a
+// time, the holder of the `escrow` lease: a single sender keeps the owner
+// wallet's nonces in order. It also sweeps every lobby for calls that are
+// due, such as retries and lobbies changed on other instances.
+const ESCROW_INTERVAL_MS = 5000;
+const ESCROW_LEASE_MS = ESCROW_INTERVAL_MS * 3;
+
+const escrowService = escrow.createEscrow({
+  rpcUrl: process.env.ESCROW_RPC_URL,
+  contractAddress: process.env.ESCROW_CONTRACT_ADDRESS,
+  privateKey: process.env.ESCROW_PRIVATE_KEY,
+  maxAttempts: parseInt(process.env.ESCROW_MAX_ATTEMPTS, 10) || undefined
+}, {
+  getLobby: lobbyId => store.getLobby(lobbyId),
+  recordCall: recordEscrowCall
+});
+console.log(escrowService.enabled
+  ? `Escrow: contract ${process.env.ESCROW_CONTRACT_ADDRESS}`
+  : 'Escrow: not configured, paid lobbies are not escrowed');
+
+// Platform fee taken from prizes, in basis points: the contract's, read at
+// startup (and in the sweep until it could be), or the contract's initial fee
+let platformFeeBps = payouts.DEFAULT_FEE_BPS;
+let platformFeeRead = false;
+
+async function readPlatformFee() {
+  const bps = await escrowService.platformFeeBps();
+  if (bps === null) return;
+  platformFeeBps = bps;
+  platformFeeRead = true;
+  console.log(`Escrow: platform fee ${bps / 100}%`);
+}
+
+async function recordEscrowCall(lobbyId, name, call) {
+  const result = await updateLobby(lobbyId, (lobby) => {
+    if (!lobby) return protocol.fail('lobby_not_found', 'Lobby not found');
+    lobby.escrow = escrow.withCall(lobby, name, call);
+    return protocol.ok(lobby);
+  });
+  if (!result.ok) return;
+  io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', result.data);
+  // Prizes count as earnings once the contract has paid them out
+  if (name === 'distributePrizes' && call.status === 'confirmed') persistence.creditEarnings(result.data);
+}
+
+// Whether humans joining the lobby must deposit its entry fee before they can
+// ready up. Without escrow there is nothing to check deposits against.
+function depositRequired(lobby) {
+  return escrowService.enabled && escrow.isPaidLobby(lobby);
+}
+
+function hasPendingDeposits(lobby) {
+  return lobby.status === 'waiting' && lobby.participants.some(p => p.status === 'pending_deposit');
+}
+
+// Confirm the participants whose deposit the contract shows
+async function verifyDeposits(lobbyId) {
+  const lobby = await store.getLobby(lobbyId);
+  if (!lobby || !hasPendingDeposits(lobby)) return;
+  const pending = lobby.participants.filter(p => p.status === 'pending_deposit').map(p => p.walletAddress);
+  const deposited = await escrowService.depositedWallets(lobbyId, pending);
+  if (deposited.length === 0) return;
+
+  const result = await updateLobby(lobbyId, (current) => {
+    if (!current) return protocol.fail('lobby_not_found', 'Lobby not found');
+    const confirmed = [];
+    current.participants.forEach(p => {
+      if (p.status !== 'pending_deposit' || !deposited.includes(p.walletAddress)) return;
+      p.status = 'deposited';
+      p.depositConfirmedAt = new Date().toISOString();
+      confirmed.push({ oderId: p.oderId, walletAddress: p.walletAddress, confirmedAt: p.depositConfirmedAt });
+      console.log(`Lobby ${lobbyId}: deposit confirmed for ${p.oderId}`);
+    });
+    if (confirmed.length > 0) current.escrow = escrow.withDeposits(current, confirmed);
+    return protocol.ok(current);
+  });
+  if (result.ok) io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', result.data);
+}
+
+// Bring a lobby's escrow up to date: confirm pending deposits, and make the
+// contract calls it is waiting for if this instance sends them
+function syncEscrow(lobby) {
+  if (!escrowService.enabled) return;
+  if (hasPendingDeposits(lobby)) {
+    verifyDeposits(lobby.id).catch(err => console.error(`Deposit check for lobby ${lobby.id} failed:`, err.message));
+  }
+  if (!escrow.nextCall(lobby)) return;
+  store.acquireLease('escrow', INSTANCE_ID, ESCROW_LEASE_MS)
+    .then(held => held && escrowService.sync(lobby.id))
+    .catch(err => console.error('Escrow sync failed:', err.message));
+}
+
+async function runEscrow() {
+  if (!escrowService.enabled) return;
+  if (!platformFeeRead) await readPlatformFee();
+  if (!(await store.acquireLease('escrow', INSTANCE_ID, ESCROW_LEASE_MS))) return;
+  for (const lobby of await store.listLobbies()) {
+    if (escrow.nextCall(lobby)) escrowService.sync(lobby.id);
+    if (hasPendingDeposits(lobby)) await verifyDeposits(lobby.id);
+  }
+}
+
+readPlatformFee().catch(err => console.error('Reading the platform fee failed:', err.message));
+
+// A deposit event confirms the depositor right away instead of at the next sweep
+escrowService.watchDeposits((raceKey) => {
+  store.listLobbies()
+    .then(lobbies => lobbies.find(l => escrow.raceKeyFor(l.id) === raceKey))
+    .then(lobby => lobby && verifyDeposits(lobby.id))
+    .catch(err => console.error('Deposit event failed:', err.message));
+});
+
+// ============================================
+// CRASH RECOVERY
+// ============================================
+
+// Put the lobbies and races persisted before a restart back in the store. A
+// shared store that survived the restart is newer, so what it has is kept.
+async function restorePersistedState() {
+  const [lobbies, snapshots] = await Promise.all([
+    persistence.loadOpenLobbies(),
+    persistence.loadActiveRaces()
+  ]);
+
+  // The latest snapshot of each lobby still racing; older ones belong to races
+  // that ended while their last checkpoint was being written
+  const racingLobbyIds = new Set(lobbies.filter(l => l.status === 'in_progress').map(l => l.id));
+  const latest = new Map();
+  for (const race of snapshots) {
+    if (!racingLobbyIds.has(race.lobbyId)) continue;
+    const current = latest.get(race.lobbyId);
+    if (!current || race.checkpointAt > current.checkpointAt) latest.set(race.lobbyId, race);
+  }
+  for (const { checkpointAt, ...race } of latest.values()) {
+    if (!(await store.getRace(race.id))) await store.saveRace(race);
+  }
+
+  for (const lobby of lobbies) {
+    if (await store.getLobby(lobby.id)) continue;
+    // Its race was lost before the first checkpoint: back to waiting for a restart
+    if (lobby.status === 'in_progress' && !(await getActiveRace(lobby.id))) {
+      reopenLobby(lobby);
+      persistence.syncLobbyUpdated(lobby);
+      console.log(`Lobby ${lobby.id}: race lost in restart, waiting again`);
+    }
+    await store.saveLobby(lobby);
+  }
+
+  if (lobbies.length > 0) {
+    console.log(`Recovered ${lobbies.length} lobbies and ${latest.size} races from ${persistence.backend}`);
+  }
+}
+
+// Run every race in the store that no instance holds a lease on: races restored
+// after a restart, or races of an instance that died
+async function adoptOrphanedRaces() {
+  for (const race of await store.listActiveRaces()) {
+    // Still running here, just late renewing its lease
+    if (localRaces.has(race.id)) continue;
+    if (await store.leaseHolder(`race:${race.id}`)) continue;
+    if (!(await store.acquireLease(`race:${race.id}`, INSTANCE_ID, RACE_LEASE_MS))) continue;
+    await resumeRace(race);
+  }
+}
+
+// Racers who haven't reconnected yet get the disconnect grace period to send rejoinLobby.
+// Telemetry isn't checkpointed: a race resumed after its start has lost the
+// samples taken before, and its replay is marked incomplete.
+async function resumeRace(race) {
+  const now = Date.now();
+  if (race.status === 'racing') race.telemetryIncomplete = true;
+  for (const p of race.participants) {
+    if (p.isBot || p.isFinished || p.disconnected) continue;
+    if (!(await isUserConnected(p.oderId))) markDisconnected(race, p, now);
+  }
+  await store.saveRace(race);
+  console.log(`Race ${race.id}: resumed (${race.status}) on instance ${INSTANCE_ID}`);
+  await runRace(race);
+}
+
 // ============================================
 // SOCKET.IO HANDLERS
 // ============================================
 
-io.on('connection', (socket) => {
-  console.log(`io Client connected: ${socket.id}`);
+// Permission check as a protocol failure, or null if the action is allowed
+function permissionError(action, user, context) {
+  const denial = permissions.authorize(action, user, context);
+  return denial && protocol.fail(denial.code, denial.message);
+}
 
-  // Client identifies itself with userId
-  socket.on('identify', (data) => {
-    const userId = data.userId;
-    if (userId) {
-      socket.userId = userId;
-      console.log(`Socket ${socket.id} identified as user ${userId}`);
-      // Send filtered lobby list now that we know who they are
-      socket.emit('lobbyList', getLobbyListForUser(userId));
+// Register a socket event: the payload is validated against its schema in protocol.js,
+// the handler returns protocol.ok()/fail(), and the result goes back through the
+// acknowledgement callback. Failures are also sent as an actionError event.
+// In a lobby it spectates, a socket only gets the events protocol.js allows spectators.
+function onEvent(socket, event, handler) {
+  socket.on(event, async (data, ack) => {
+    let result = protocol.validate(event, data);
+    if (!result && !protocol.spectatorAllowed(event) && await targetsSpectatedLobby(socket, data)) {
+      result = protocol.fail('spectator_read_only', 'Spectators cannot do this; stop spectating first');
+    }
+    if (!result) {
+      try {
+        result = await handler(data || {});
+      } catch (error) {
+        console.error(`socket ${event} failed:`, error);
+        result = protocol.fail('internal_error', 'Internal server error');
+      }
     }
+
+    if (!result.ok) {
+      socket.emit('actionError', { action: event, ...result.error });
+      console.log(`Socket ${socket.id} ${event} refused: ${result.error.code}`);
+    }
+    if (typeof ack === 'function') ack(result);
+  });
+}
+
+// Binary clients also join the lobby's binary room, which gets race ticks as binary frames
+function joinLobbyRoom(socket, lobbyId) {
+  socket.join(`lobby:${lobbyId}`);
+  if (socket.encoding === 'binary') socket.join(`lobby:${lobbyId}:binary`);
+}
+
+function leaveLobbyRoom(socket, lobbyId) {
+  socket.leave(`lobby:${lobbyId}`);
+  socket.leave(`lobby:${lobbyId}:binary`);
+}
+
+// ---- spectators ----
+
+// Whether an event is aimed at a lobby the socket spectates: by its lobbyId,
+// or by the lobby of its raceId
+async function targetsSpectatedLobby(socket, data) {
+  if (socket.spectating.size === 0 || !data) return false;
+  if (data.lobbyId) return socket.spectating.has(data.lobbyId);
+  if (data.raceId) {
+    const race = await store.getRace(data.raceId);
+    return Boolean(race) && socket.spectating.has(race.lobbyId);
+  }
+  return false;
+}
+
+// Spectators are in the lobby room, for lobby and race events, and in its
+// spectators room, which gets spectatorLeaderboard instead of the race ticks
+async function spectateLobby(socket, lobbyId) {
+  const lobby = await store.getLobby(lobbyId);
+  if (!lobby) return protocol.fail('lobby_not_found', 'Lobby not found');
+  if (lobby.participants.some(p => p.oderId === socket.userId)) {
+    return protocol.fail('already_participant', 'You are racing in this lobby');
+  }
+
+  // Remember whether spectating is what put the socket in the lobby room
+  socket.spectating.set(lobbyId, !socket.rooms.has(`lobby:${lobbyId}`));
+  socket.join([`lobby:${lobbyId}`, `lobby:${lobbyId}:spectators`]);
+  const result = await updateSpectatorCount(lobbyId);
+  const race = await getActiveRace(lobbyId);
+  if (race) socket.emit('spectatorLeaderboard', leaderboard.buildLeaderboard(race));
+  console.log(`Socket ${socket.id} spectating lobby ${lobbyId}`);
+  return result;
+}
+
+async function stopSpectating(socket, lobbyId) {
+  if (!socket.spectating.has(lobbyId)) return protocol.fail('not_spectating', 'You are not spectating this lobby');
+  socket.leave(`lobby:${lobbyId}:spectators`);
+  // Stay in the lobby room if the socket was already in it, as the lobby's creator for instance
+  if (socket.spectating.get(lobbyId)) leaveLobbyRoom(socket, lobbyId);
+  socket.spectating.delete(lobbyId);
+  return updateSpectatorCount(lobbyId);
+}
+
+// Count the users spectating, on every instance, into the lobby's spectatorCount,
+// and into its race's for the instance running the race
+async function updateSpectatorCount(lobbyId) {
+  const result = await updateLobby(lobbyId, async (lobby) => {
+    if (!lobby) return protocol.fail('lobby_not_found', 'Lobby not found');
+    const sockets = await io.in(`lobby:${lobbyId}:spectators`).fetchSockets();
+    lobby.spectatorCount = new Set(sockets.map(s => s.data.userId)).size;
+    return protocol.ok(lobby);
+  });
+  if (!result.ok) return result;
+  io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', result.data);
+  const race = await getActiveRace(lobbyId);
+  if (race) await store.pushRaceCommand(race.id, { type: 'spectators', count: result.data.spectatorCount });
+  return result;
+}
+
+// Metrics from a racer, sent as JSON or as a binary frame. They are queued for
+// the instance running the race, which applies them on its next tick.
+async function handleRaceMetrics(user, raceId, oderId, metrics) {
+  const race = await store.getRace(raceId);
+  const denied = permissionError('raceUpdate', user, { race, oderId });
+  if (denied) return denied;
+  if (race.status !== 'racing') return protocol.fail('race_not_active', 'Race is not running');
+
+  await store.pushRaceCommand(raceId, { type: 'metrics', oderId: user.uid, metrics, at: Date.now() });
+  return protocol.ok(broadcast.publicRace(race));
+}
+
+// Start the countdown; this instance runs the race
+async function startLobbyRace(user, lobbyId) {
+  const result = await updateLobby(lobbyId, (lobby) => {
+    const denied = permissionError('startRace', user, { lobby });
+    if (denied) return denied;
+    const race = startRace(lobby);
+    return race ? protocol.ok(race) : startRaceError(lobby);
+  });
+  if (!result.ok) return result;
+
+  const race = result.data;
+  await store.acquireLease(`race:${race.id}`, INSTANCE_ID, RACE_LEASE_MS);
+  await store.saveRace(race);
+  checkpointRace(race, true);
+  await runRace(race);
+  console.log(`Race started for lobby ${lobbyId}`);
+  return protocol.ok(broadcast.publicRace(race));
+}
+
+// Queue a cancellation for the instance running the race
+async function requestCancelRace(user, lobbyId, note) {
+  const denied = permissionError('cancelRace', user, { lobby: await store.getLobby(lobbyId) });
+  if (denied) return denied;
+
+  const race = await getActiveRace(lobbyId);
+  if (!race) return protocol.fail('race_not_active', 'There is no race to cancel');
+
+  await store.pushRaceCommand(race.id, { type: 'cancel', cancelledBy: user.uid, note: note || null });
+  return protocol.ok(broadcast.publicRace(race));
+}
+
+// Another instance changed a lobby: refresh the lists of our sockets
+io.on('lobbyListsChanged', () => {
+  sendLocalLobbyLists().catch(error => {
+    console.error('Lobby list broadcast failed:', error.message);
+  });
+});
+
+// Every socket must present a verified ID token; socket.userId comes from it
+io.use(auth.socketAuth);
+
+io.on('connection', (socket) => {
+  socket.encoding = codec.negotiateEncoding(socket.handshake.auth);
+  // Lets any instance find the user's sockets
+  socket.join(`user:${socket.userId}`);
+  // socket.data is what other instances see of the socket, in fetchSockets()
+  socket.data.userId = socket.userId;
+  // Lobbies this socket is watching as a spectator -> whether spectating joined it to the lobby room
+  socket.spectating = new Map();
+  console.log(`io Client connected: ${socket.id} (user ${socket.userId}, ${socket.encoding})`);
+
+  // Identity comes from the handshake token; any client-supplied userId is ignored
+  onEvent(socket, 'identify', async () => {
+    console.log(`Socket ${socket.id} identified as user ${socket.userId}`);
+    const lobbyList = await getLobbyListForUser(socket.userId);
+    socket.emit('lobbyList', lobbyList);
+    return protocol.ok(lobbyList);
   });
 
   // ---- LOBBY EVENTS ----
 
-  socket.on('createLobby', (data) => {
+  onEvent(socket, 'createLobby', async (data) => {
     console.log(`socket createLobby`);
-    const lobby = createLobby(data);
-    socket.join(`lobby:${lobby.id}`);
+    const lobby = createLobby({ ...data, creatorId: socket.userId });
+    if (!lobby) return protocol.fail('validation_error', 'Invalid interval plan');
+    await store.saveLobby(lobby);
+    joinLobbyRoom(socket, lobby.id);
     broadcastLobbyLists();
     socket.emit('lobbyCreated', lobby);
-    firestore.syncLobbyCreated(lobby);
+    persistence.syncLobbyCreated(lobby);
+    syncEscrow(lobby);
     console.log(`Lobby created: ${lobby.id}`);
+    return protocol.ok(lobby);
   });
 
-  socket.on('getLobbies', (data) => {
+  onEvent(socket, 'joinMatchmaking', (data) => joinMatchmaking(socket.user, data));
+
+  onEvent(socket, 'leaveMatchmaking', () => leaveMatchmaking(socket.userId));
+
+  onEvent(socket, 'getLobbies', async () => {
     console.log("socket getLobbies");
-    const userId = (data && data.userId) || socket.userId;
-    if (userId) {
-      socket.emit('lobbyList', getLobbyListForUser(userId));
-    } else {
-      socket.emit('lobbyList', []);
-    }
+    const lobbyList = await getLobbyListForUser(socket.userId);
+    socket.emit('lobbyList', lobbyList);
+    return protocol.ok(lobbyList);
   });
 
-  socket.on('joinLobby', (data) => {
+  onEvent(socket, 'joinLobby', async (data) => {
     console.log("socket joinLobby");
-    const { lobbyId, participant } = data;
-    const lobby = addParticipant(lobbyId, participant);
-    if (lobby) {
-      socket.join(`lobby:${lobbyId}`);
-      io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', lobby);
-      broadcastLobbyLists();
-      firestore.syncLobbyStatusUpdate(lobbyId, lobby.status, lobby.participants.length);
-      console.log(`${participant.displayName} joined lobby ${lobbyId}`);
-    }
+    const { lobbyId } = data;
+    const participant = joiningParticipant(socket.userId, data.participant);
+    const result = await updateLobby(lobbyId, (lobby) => {
+      const joined = addParticipant(lobby, participant);
+      return joined ? protocol.ok(joined) : joinError(lobby, participant);
+    });
+    if (!result.ok) return result;
+
+    const lobby = result.data;
+    joinLobbyRoom(socket, lobbyId);
+    io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', lobby);
+    broadcastLobbyLists();
+    console.log(`${participant.displayName} joined lobby ${lobbyId}`);
+    return protocol.ok(lobby);
   });
 
-  socket.on('addBot', (data) => {
+  onEvent(socket, 'addBot', async (data) => {
     console.log("socket addBot");
-    const { lobbyId, difficulty } = data;
-    const result = addBot(lobbyId, difficulty);
-    if (result) {
-      io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', result.lobby);
-      broadcastLobbyLists();
-      firestore.syncLobbyStatusUpdate(lobbyId, result.lobby.status, result.lobby.participants.length);
-      console.log(`Bot added to lobby ${lobbyId} with difficulty ${difficulty}`);
-    }
+    const { lobbyId } = data;
+    const difficulty = data.difficulty || 'medium';
+    const result = await updateLobby(lobbyId, (lobby) => {
+      const denied = permissionError('addBot', socket.user, { lobby });
+      if (denied) return denied;
+      if (data.paceBoat) return addPaceBoat(lobby, data.paceBoat);
+      const added = addBot(lobby, difficulty, data.pacing || 'even');
+      return added ? protocol.ok(added.lobby) : lobbyEntryError(lobby);
+    });
+    if (!result.ok) return result;
+
+    const lobby = result.data;
+    io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', lobby);
+    broadcastLobbyLists();
+    const added = lobby.participants[lobby.participants.length - 1];
+    console.log(data.paceBoat
+      ? `Pace boat added to lobby ${lobbyId} at ${pacing.formatSplit(added.paceBoat.split)}/500m`
+      : `Bot added to lobby ${lobbyId} with difficulty ${difficulty}`);
+    return protocol.ok(lobby);
   });
 
-  socket.on('setReady', (data) => {
+  onEvent(socket, 'setReady', async (data) => {
     console.log("socket setReady");
     const { lobbyId, oderId } = data;
-    const lobby = setParticipantReady(lobbyId, oderId);
-    if (lobby) {
-      io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', lobby);
-    }
+    const result = await updateLobby(lobbyId, (lobby) => {
+      const denied = permissionError('setReady', socket.user, { lobby, oderId });
+      return denied || readyError(lobby, socket.userId) || protocol.ok(setParticipantReady(lobby, socket.userId));
+    });
+    if (!result.ok) return result;
+
+    io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', result.data);
+    return result;
   });
 
-  socket.on('leaveLobby', (data) => {
+  onEvent(socket, 'leaveLobby', async (data) => {
     console.log("socket leaveLobby");
-    const { lobbyId, oderId } = data;
-    const lobby = removeParticipant(lobbyId, oderId);
-    if (lobby) {
-      socket.leave(`lobby:${lobbyId}`);
-      io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', lobby);
-      broadcastLobbyLists();
-      firestore.syncLobbyStatusUpdate(lobbyId, lobby.status, lobby.participants.length);
-    }
+    const { lobbyId } = data;
+    const oderId = data.oderId || socket.userId;
+    const result = await updateLobby(lobbyId, async (lobby) => {
+      const denied = permissionError('leaveLobby', socket.user, { lobby, oderId });
+      return denied || protocol.ok(await removeParticipant(lobby, oderId));
+    });
+    if (!result.ok) return result;
+
+    const lobby = result.data;
+    if (lobby.status === 'in_progress') await handleParticipantLeft(lobbyId, oderId);
+    // The creator removing someone else stays in the room
+    if (oderId === socket.userId) leaveLobbyRoom(socket, lobbyId);
+    io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', lobby);
+    broadcastLobbyLists();
+    return protocol.ok(lobby);
+  });
+
+  onEvent(socket, 'addGhost', async (data) => {
+    console.log("socket addGhost");
+    const { lobbyId, source } = data;
+    const denied = permissionError('addGhost', socket.user, { lobby: await store.getLobby(lobbyId) });
+    if (denied) return denied;
+
+    const result = await addGhost(lobbyId, source);
+    if (!result.ok) return result;
+
+    const { lobby } = result.data;
+    io.to(`lobby:${lobbyId}`).emit('lobbyUpdated', lobby);
+    broadcastLobbyLists();
+    console.log(`Ghost added to lobby ${lobbyId} from ${source.type}`);
+    return protocol.ok(lobby);
   });
 
   // Rejoin lobby room (for reconnection or after REST join)
-  socket.on('rejoinLobby', (data) => {
+  onEvent(socket, 'rejoinLobby', async (data) => {
     const { lobbyId } = data;
-    const lobby = lobbies.get(lobbyId);
-    if (lobby) {
-      socket.join(`lobby:${lobbyId}`);
-      console.log(`Socket ${socket.id} rejoined lobby room ${lobbyId}`);
-      // Send current lobby state to the rejoining client
-      socket.emit('lobbyUpdated', lobby);
-      // If there's an active race, send current race state
-      const race = Array.from(races.values()).find(r => r.lobbyId === lobbyId && r.status === 'racing');
-      if (race) {
-        socket.emit('raceUpdate', race);
-      }
+    const lobby = await store.getLobby(lobbyId);
+    if (!lobby) return protocol.fail('lobby_not_found', 'Lobby not found');
+
+    joinLobbyRoom(socket, lobbyId);
+    console.log(`Socket ${socket.id} rejoined lobby room ${lobbyId}`);
+    // Back within the grace period: keep racing
+    await handleUserReconnected(socket.userId, lobbyId);
+    // Send current lobby state to the rejoining client
+    socket.emit('lobbyUpdated', lobby);
+    // If there's an active race, send current race state
+    const race = (await store.listActiveRaces()).find(r => r.lobbyId === lobbyId && r.status === 'racing');
+    if (race) {
+      socket.emit('raceUpdate', broadcast.currentSnapshot(race));
     }
+    return protocol.ok(lobby);
   });
 
+  onEvent(socket, 'spectateLobby', (data) => spectateLobby(socket, data.lobbyId));
+
+  onEvent(socket, 'stopSpectating', (data) => stopSpectating(socket, data.lobbyId));
+
   // ---- RACE EVENTS ----
 
-  socket.on('startRace', (data) => {
-    const { lobbyId } = data;
-    const race = startRace(lobbyId);
-    if (race) {
-      firestore.syncLobbyStatusUpdate(lobbyId, 'in_progress', race.participants.length);
-
-      // 5 second countdown
-      let countdown = 5;
-      const countdownInterval = setInterval(() => {
-        io.to(`lobby:${lobbyId}`).emit('countdown', countdown);
-        countdown--;
-        if (countdown < 0) {
-          clearInterval(countdownInterval);
-          race.startTime = Date.now();
-          race.status = 'racing';
-          io.to(`lobby:${lobbyId}`).emit('raceStarted', race);
-
-          // Start bot simulation loop
-          const botInterval = setInterval(() => {
-            if (race.status !== 'racing') {
-              clearInterval(botInterval);
-              return;
-            }
-
-            simulateBots(race);
-            io.to(`lobby:${lobbyId}`).emit('raceUpdate', race);
-
-            // Check if race is complete
-            const allFinished = race.participants.every(p => p.isFinished);
-            if (allFinished) {
-              race.status = 'completed';
-              clearInterval(botInterval);
-              const completedLobby = completeRace(lobbyId, race);
-              io.to(`lobby:${lobbyId}`).emit('raceCompleted', race);
-              broadcastLobbyLists();
-
-              if (!race.firestoreSynced) {
-                race.firestoreSynced = true;
-                firestore.syncRaceCompleted(race);
-                if (completedLobby) firestore.syncLobbyCompleted(completedLobby);
-                firestore.updateUserStats(race);
-              }
-            }
-          }, 500); // Update every 500ms
-        }
-      }, 1000);
-
-      console.log(`Race started for lobby ${lobbyId}`);
-    }
-  });
+  onEvent(socket, 'startRace', (data) => startLobbyRace(socket.user, data.lobbyId));
+
+  // Takes effect on the race's next tick, announced with raceCancelled
+  onEvent(socket, 'cancelRace', (data) => requestCancelRace(socket.user, data.lobbyId, data.note));
 
-  socket.on('raceUpdate', (data) => {
+  onEvent(socket, 'raceUpdate', async (data) => {
     const { raceId, oderId, metrics } = data;
-    const race = updateRaceParticipant(raceId, oderId, metrics);
-    if (race) {
-      io.to(`lobby:${race.lobbyId}`).emit('raceUpdate', race);
-
-      // Check if race complete
-      const allFinished = race.participants.every(p => p.isFinished);
-      if (allFinished && race.status === 'racing') {
-        race.status = 'completed';
-        const completedLobby = completeRace(race.lobbyId, race);
-        io.to(`lobby:${race.lobbyId}`).emit('raceCompleted', race);
-        broadcastLobbyLists();
-
-        if (!race.firestoreSynced) {
-          race.firestoreSynced = true;
-          firestore.syncRaceCompleted(race);
-          if (completedLobby) firestore.syncLobbyCompleted(completedLobby);
-          firestore.updateUserStats(race);
-        }
-      }
-    }
+    const result = await handleRaceMetrics(socket.user, raceId, oderId, metrics);
+    // The change goes out with the next race tick
+    return result.ok ? protocol.ok(null) : result;
+  });
+
+  onEvent(socket, 'raceUpdateBinary', async (frame) => {
+    const decoded = codec.decodeMetrics(frame);
+    if (!decoded) return protocol.fail('validation_error', 'Invalid metrics frame');
+
+    const race = await store.findRaceByKey(decoded.raceKey);
+    if (!race) return protocol.fail('race_not_found', 'Race not found');
+
+    const result = await handleRaceMetrics(socket.user, race.id, null, decoded.metrics);
+    return result.ok ? protocol.ok(null) : result;
   });
 
-  socket.on('disconnect', () => {
+  // The client missed a delta: send the full race again
+  onEvent(socket, 'resyncRace', async (data) => {
+    const race = await store.getRace(data.raceId);
+    if (!race) return protocol.fail('race_not_found', 'Race not found');
+
+    const snapshot = broadcast.currentSnapshot(race);
+    socket.emit('raceUpdate', snapshot);
+    return protocol.ok(snapshot);
+  });
+
+  socket.on('disconnect', async () => {
     console.log(`Client disconnected: ${socket.id}`);
+    try {
+      // Gone from the spectators rooms already
+      for (const lobbyId of socket.spectating.keys()) await updateSpectatorCount(lobbyId);
+      if (!(await isUserConnected(socket.userId))) {
+        await handleUserDisconnected(socket.userId);
+        // Nobody to race once gone
+        await leaveMatchmaking(socket.userId);
+      }
+    } catch (error) {
+      console.error(`Disconnect handling failed for ${socket.userId}:`, error.message);
+    }
   });
 });
 
@@ -507,215 +1734,290 @@ io.on('connection', (socket) => {
 // REST ENDPOINTS
 // ============================================
 
-app.get('/', (req, res) => {
-  res.json({
-    name: 'rest PM5 Racing Server',
-    version: '1.0.0',
-    status: 'running',
-    lobbies: lobbies.size,
-    races: races.size
-  });
-});
+// Wrap a REST handler: the body is validated against the route's schema in protocol.js,
+// the handler returns protocol.ok()/fail(), and failures become JSON with a 4xx/5xx status.
+function route(name, handler) {
+  return async (req, res) => {
+    let result = protocol.validate(name, req.body);
+    if (!result) {
+      try {
+        result = await handler(req);
+      } catch (error) {
+        console.error(`${name} failed:`, error);
+        result = protocol.fail('internal_error', 'Internal server error');
+      }
+    }
+
+    if (result.ok) {
+      res.json(result.data);
+    } else {
+      const { code, message, details } = result.error;
+      res.status(protocol.httpStatus(code)).json({ error: message, code, ...(details && { details }) });
+    }
+  };
+}
 
-app.get('/lobbies', (req, res) => {
+app.get('/', route('GET /', async () => protocol.ok({
+  name: 'rest PM5 Racing Server',
+  version: '1.0.0',
+  status: 'running',
+  instance: INSTANCE_ID,
+  store: store.backend,
+  persistence: persistence.backend,
+  outbox: persistence.outbox.stats(),
+  escrow: escrowService.enabled,
+  lobbies: (await store.listLobbies()).length,
+  races: (await store.listActiveRaces()).length
+})));
+
+// Machine-readable protocol spec generated from the schemas
+app.get('/protocol', route('GET /protocol', () => protocol.ok(protocol.buildProtocolSpec())));
+
+app.get('/lobbies', route('GET /lobbies', async (req) => {
   console.log("rest GET /lobbies called");
   const userId = req.query.userId;
-  if (userId) {
-    res.json(getLobbyListForUser(userId));
-  } else {
-    res.json([]);
-  }
-});
+  return protocol.ok(userId ? await getLobbyListForUser(userId) : []);
+}));
 
-app.get('/lobby/:id', (req, res) => {
-  const lobby = lobbies.get(req.params.id);
-  console.log(`GET /lobbies/${lobby} called`);
-  if (lobby) {
-    res.json(lobby);
-  } else {
-    res.status(404).json({ error: 'Lobby not found' });
-  }
-});
+app.get('/lobby/:id', route('GET /lobby/:id', async (req) => {
+  console.log(`GET /lobby/${req.params.id} called`);
+  const lobby = await store.getLobby(req.params.id);
+  return lobby ? protocol.ok(lobby) : protocol.fail('lobby_not_found', 'Lobby not found');
+}));
 
 // Create lobby
-app.post('/api/lobby', (req, res) => {
+app.post('/api/lobby', route('POST /api/lobby', async (req) => {
   console.log(`POST /api/lobby called`);
-  const lobby = createLobby(req.body);
+  const lobby = createLobby({ ...req.body, creatorId: req.user.uid });
+  if (!lobby) return protocol.fail('validation_error', 'Invalid interval plan');
+  await store.saveLobby(lobby);
   broadcastLobbyLists();
-  firestore.syncLobbyCreated(lobby);
-  res.json(lobby);
-});
+  persistence.syncLobbyCreated(lobby);
+  syncEscrow(lobby);
+  return protocol.ok(lobby);
+}));
 
 // Join lobby
-app.post('/api/lobby/:id/join', (req, res) => {
+app.post('/api/lobby/:id/join', route('POST /api/lobby/:id/join', async (req) => {
   console.log(`POST /api/lobby/${req.params.id}/join called`);
-  const lobby = addParticipant(req.params.id, req.body);
-  if (lobby) {
-    io.to(`lobby:${req.params.id}`).emit('lobbyUpdated', lobby);
-    broadcastLobbyLists();
-    firestore.syncLobbyStatusUpdate(req.params.id, lobby.status, lobby.participants.length);
-    res.json(lobby);
-  } else {
-    res.status(400).json({ error: 'Cannot join lobby' });
-  }
-});
+  const participant = joiningParticipant(req.user.uid, req.body);
+  const result = await updateLobby(req.params.id, (lobby) => {
+    const joined = addParticipant(lobby, participant);
+    return joined ? protocol.ok(joined) : joinError(lobby, participant);
+  });
+  if (!result.ok) return result;
+
+  const lobby = result.data;
+  io.to(`lobby:${req.params.id}`).emit('lobbyUpdated', lobby);
+  broadcastLobbyLists();
+  return protocol.ok(lobby);
+}));
 
 // Add bot
-app.post('/api/lobby/:id/bot', (req, res) => {
+app.post('/api/lobby/:id/bot', route('POST /api/lobby/:id/bot', async (req) => {
   console.log(`POST /api/lobby/${req.params.id}/bot called`);
-  const result = addBot(req.params.id, req.body.difficulty || 'medium');
-  if (result) {
-    io.to(`lobby:${req.params.id}`).emit('lobbyUpdated', result.lobby);
-    broadcastLobbyLists();
-    firestore.syncLobbyStatusUpdate(req.params.id, result.lobby.status, result.lobby.participants.length);
-    res.json(result.lobby);
-  } else {
-    res.status(400).json({ error: 'Cannot add bot' });
-  }
-});
+  const result = await updateLobby(req.params.id, (lobby) => {
+    const denied = permissionError('addBot', req.user, { lobby });
+    if (denied) return denied;
+    if (req.body.paceBoat) return addPaceBoat(lobby, req.body.paceBoat);
+    const added = addBot(lobby, req.body.difficulty || 'medium', req.body.pacing || 'even');
+    return added ? protocol.ok(added.lobby) : lobbyEntryError(lobby);
+  });
+  if (!result.ok) return result;
+
+  const lobby = result.data;
+  io.to(`lobby:${req.params.id}`).emit('lobbyUpdated', lobby);
+  broadcastLobbyLists();
+  return protocol.ok(lobby);
+}));
+
+// Add ghost
+app.post('/api/lobby/:id/ghost', route('POST /api/lobby/:id/ghost', async (req) => {
+  console.log(`POST /api/lobby/${req.params.id}/ghost called`);
+  const denied = permissionError('addGhost', req.user, { lobby: await store.getLobby(req.params.id) });
+  if (denied) return denied;
+
+  const result = await addGhost(req.params.id, req.body.source);
+  if (!result.ok) return result;
+
+  const { lobby } = result.data;
+  io.to(`lobby:${req.params.id}`).emit('lobbyUpdated', lobby);
+  broadcastLobbyLists();
+  return protocol.ok(lobby);
+}));
 
 // Set ready
-app.post('/api/lobby/:id/ready', (req, res) => {
+app.post('/api/lobby/:id/ready', route('POST /api/lobby/:id/ready', async (req) => {
   console.log(`POST /api/lobby/${req.params.id}/ready called`);
-  const lobby = setParticipantReady(req.params.id, req.body.oderId);
-  if (lobby) {
-    io.to(`lobby:${req.params.id}`).emit('lobbyUpdated', lobby);
-    res.json(lobby);
-  } else {
-    res.status(400).json({ error: 'Cannot set ready' });
-  }
-});
+  const result = await updateLobby(req.params.id, (lobby) => {
+    const denied = permissionError('setReady', req.user, { lobby, oderId: req.body.oderId });
+    return denied || readyError(lobby, req.user.uid) || protocol.ok(setParticipantReady(lobby, req.user.uid));
+  });
+  if (!result.ok) return result;
+
+  io.to(`lobby:${req.params.id}`).emit('lobbyUpdated', result.data);
+  return result;
+}));
 
 // Start race
-app.post('/api/lobby/:id/start', (req, res) => {
+app.post('/api/lobby/:id/start', route('POST /api/lobby/:id/start', (req) => {
   console.log(`POST /api/lobby/${req.params.id}/start called`);
-  const lobbyId = req.params.id;
-  const race = startRace(lobbyId);
-  if (race) {
-    firestore.syncLobbyStatusUpdate(lobbyId, 'in_progress', race.participants.length);
-
-    // Start countdown
-    let countdown = 5;
-    const countdownInterval = setInterval(() => {
-      io.to(`lobby:${lobbyId}`).emit('countdown', countdown);
-      countdown--;
-      if (countdown < 0) {
-        clearInterval(countdownInterval);
-        race.startTime = Date.now();
-        race.status = 'racing';
-        io.to(`lobby:${lobbyId}`).emit('raceStarted', race);
-
-        // Start bot simulation
-        const botInterval = setInterval(() => {
-          if (race.status !== 'racing') {
-            clearInterval(botInterval);
-            return;
-          }
-          simulateBots(race);
-          io.to(`lobby:${lobbyId}`).emit('raceUpdate', race);
-
-          const allFinished = race.participants.every(p => p.isFinished);
-          if (allFinished) {
-            race.status = 'completed';
-            clearInterval(botInterval);
-            const completedLobby = completeRace(lobbyId, race);
-            io.to(`lobby:${lobbyId}`).emit('raceCompleted', race);
-            broadcastLobbyLists();
-
-            if (!race.firestoreSynced) {
-              race.firestoreSynced = true;
-              firestore.syncRaceCompleted(race);
-              if (completedLobby) firestore.syncLobbyCompleted(completedLobby);
-              firestore.updateUserStats(race);
-            }
-          }
-        }, 500);
-      }
-    }, 1000);
+  return startLobbyRace(req.user, req.params.id);
+}));
 
-    res.json(race);
-  } else {
-    res.status(400).json({ error: 'Cannot start race' });
-  }
-});
+// Cancel the countdown or race in progress
+app.post('/api/lobby/:id/cancel', route('POST /api/lobby/:id/cancel', (req) => {
+  console.log(`POST /api/lobby/${req.params.id}/cancel called`);
+  return requestCancelRace(req.user, req.params.id, req.body.note);
+}));
 
 // Race update
-app.post('/api/race/:id/update', (req, res) => {
+app.post('/api/race/:id/update', route('POST /api/race/:id/update', (req) => {
   const { oderId, distance, pace, watts } = req.body;
-  const race = updateRaceParticipant(req.params.id, oderId, { distance, pace, watts });
-  if (race) {
-    io.to(`lobby:${race.lobbyId}`).emit('raceUpdate', race);
-
-    const allFinished = race.participants.every(p => p.isFinished);
-    if (allFinished && race.status === 'racing') {
-      race.status = 'completed';
-      const completedLobby = completeRace(race.lobbyId, race);
-      io.to(`lobby:${race.lobbyId}`).emit('raceCompleted', race);
-      broadcastLobbyLists();
-
-      if (!race.firestoreSynced) {
-        race.firestoreSynced = true;
-        firestore.syncRaceCompleted(race);
-        if (completedLobby) firestore.syncLobbyCompleted(completedLobby);
-        firestore.updateUserStats(race);
-      }
-    }
-
-    res.json(race);
-  } else {
-    res.status(400).json({ error: 'Race not found' });
-  }
-});
+  return handleRaceMetrics(req.user, req.params.id, oderId, { distance, pace, watts });
+}));
+
+// Quick match: queue for a race, or leave the queue
+app.post('/api/matchmaking', route('POST /api/matchmaking', (req) => joinMatchmaking(req.user, req.body)));
+
+app.post('/api/matchmaking/leave', route('POST /api/matchmaking/leave', (req) => leaveMatchmaking(req.user.uid)));
+
+// Get race; finished races are dropped from the store after a while, then
+// the persisted record with its results is returned
+app.get('/api/race/:id', route('GET /api/race/:id', async (req) => {
+  const race = await store.getRace(req.params.id);
+  if (race) return protocol.ok(broadcast.publicRace(race));
+  const stored = await persistence.getRaceReplay(req.params.id);
+  return stored ? protocol.ok(stored.race) : protocol.fail('race_not_found', 'Race not found');
+}));
+
+// Race replay: per-participant sample stream, optionally downsampled
+// ?interval=<ms> keeps one sample per time bucket, ?maxPoints=<n> caps the samples per participant
+app.get('/api/race/:id/replay', route('GET /api/race/:id/replay', async (req) => {
+  console.log(`GET /api/race/${req.params.id}/replay called`);
+  const options = {
+    interval: parseInt(req.query.interval, 10) || 0,
+    maxPoints: parseInt(req.query.maxPoints, 10) || 0
+  };
 
-// Get race
-app.get('/api/race/:id', (req, res) => {
-  const race = races.get(req.params.id);
-  if (race) {
-    res.json(race);
-  } else {
-    res.status(404).json({ error: 'Race not found' });
+  const race = await store.getRace(req.params.id);
+  if (race && race.status !== 'completed') {
+    return protocol.fail('race_not_finished', 'Race not finished');
   }
-});
+  // Finished races' telemetry is only kept in persistence
+  const stored = await persistence.getRaceReplay(req.params.id);
+  if (!stored) return protocol.fail('race_not_found', 'Race not found');
+  return protocol.ok(telemetry.buildReplay(stored.race, stored.timeline, options));
+}));
+
+// Prize pool and the payout per place (see payouts.js)
+app.get('/api/lobby/:id/payouts', route('GET /api/lobby/:id/payouts', async (req) => {
+  const lobby = await store.getLobby(req.params.id);
+  if (!lobby) return protocol.fail('lobby_not_found', 'Lobby not found');
+  return protocol.ok(payouts.payoutPreview(lobby, platformFeeBps));
+}));
 
 // Get user profile
-app.get('/api/user/:id/profile', async (req, res) => {
+app.get('/api/user/:id/profile', route('GET /api/user/:id/profile', async (req) => {
   console.log(`GET /api/user/${req.params.id}/profile called`);
-  const profile = await firestore.getUserProfile(req.params.id);
-  if (profile) {
-    res.json(profile);
-  } else {
-    res.status(404).json({ error: 'User profile not found' });
-  }
-});
+  const profile = await persistence.getUserProfile(req.params.id);
+  return profile ? protocol.ok(profile) : protocol.fail('profile_not_found', 'User profile not found');
+}));
+
+// Rating history, newest first
+app.get('/api/user/:id/ratings', route('GET /api/user/:id/ratings', async (req) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const [profile, history] = await Promise.all([
+    persistence.getUserProfile(req.params.id),
+    persistence.getRatingHistory(req.params.id, limit)
+  ]);
+  return protocol.ok({ userId: req.params.id, rating: rating.currentRating(profile), history });
+}));
+
+// Earnings ledger, newest first
+app.get('/api/user/:id/earnings', route('GET /api/user/:id/earnings', async (req) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const [profile, entries] = await Promise.all([
+    persistence.getUserProfile(req.params.id),
+    persistence.getEarnings(req.params.id, limit)
+  ]);
+  return protocol.ok({ userId: req.params.id, totalEarnings: (profile && profile.totalEarnings) || '0', entries });
+}));
 
 // Save user profile
-app.post('/api/user/:id/profile', async (req, res) => {
+app.post('/api/user/:id/profile', route('POST /api/user/:id/profile', async (req) => {
   console.log(`POST /api/user/${req.params.id}/profile called`);
-  const profile = await firestore.saveUserProfile(req.params.id, req.body);
-  if (profile) {
-    res.json(profile);
-  } else {
-    res.status(500).json({ error: 'Failed to save user profile' });
+  if (req.params.id !== req.user.uid) {
+    return protocol.fail('not_self', 'Cannot modify another user\'s profile');
+  }
+  const profile = await persistence.saveUserProfile(req.params.id, req.body);
+  return profile ? protocol.ok(profile) : protocol.fail('internal_error', 'Failed to save user profile');
+}));
+
+// Persistence writes waiting in the outbox, or parked after failing too often
+app.get('/api/admin/outbox', route('GET /api/admin/outbox', (req) => {
+  const denial = permissionError('manageOutbox', req.user, {});
+  if (denial) return denial;
+  const status = ['pending', 'failed'].includes(req.query.status) ? req.query.status : undefined;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  return protocol.ok({ ...persistence.outbox.stats(), entries: persistence.outbox.list({ status, limit }) });
+}));
+
+app.get('/api/admin/outbox/:id', route('GET /api/admin/outbox/:id', (req) => {
+  const denial = permissionError('manageOutbox', req.user, {});
+  if (denial) return denial;
+  const entry = persistence.outbox.get(Number(req.params.id));
+  return entry ? protocol.ok(entry) : protocol.fail('outbox_entry_not_found', 'Outbox entry not found');
+}));
+
+// Put failed writes back in the queue, at their original place
+app.post('/api/admin/outbox/replay', route('POST /api/admin/outbox/replay', (req) => {
+  const denial = permissionError('manageOutbox', req.user, {});
+  if (denial) return denial;
+  const replayed = persistence.outbox.replayFailed();
+  console.log(`Outbox: ${replayed} failed writes replayed by ${req.user.uid}`);
+  return protocol.ok({ replayed });
+}));
+
+app.post('/api/admin/outbox/:id/replay', route('POST /api/admin/outbox/:id/replay', (req) => {
+  const denial = permissionError('manageOutbox', req.user, {});
+  if (denial) return denial;
+  if (!persistence.outbox.replay(Number(req.params.id))) {
+    return protocol.fail('outbox_entry_not_found', 'No failed outbox entry with this id');
   }
+  console.log(`Outbox: entry ${req.params.id} replayed by ${req.user.uid}`);
+  return protocol.ok(persistence.outbox.get(Number(req.params.id)));
+}));
+
+// Malformed JSON bodies get the same error shape as schema failures
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON body', code: 'validation_error' });
+  }
+  next(err);
 });
 
 // ============================================
 // START SERVER
 // ============================================
 
-// Recover waiting lobbies from Firestore on startup
-firestore.loadWaitingLobbies().then(recoveredLobbies => {
-  for (const lobby of recoveredLobbies) {
-    if (!lobbies.has(lobby.id)) {
-      lobbies.set(lobby.id, lobby);
-    }
-  }
-  if (recoveredLobbies.length > 0) {
-    console.log(`Recovered ${recoveredLobbies.length} lobbies from Firestore`);
-  }
-}).catch(err => {
-  console.error('Lobby recovery failed:', err.message);
+// Apply the writes still in the outbox from before the last restart, recover
+// the lobbies and races persisted then, and run the races nobody is running.
+// With a shared store, keep taking over the races of instances that die.
+persistence.outbox.drain().then(restorePersistedState).then(adoptOrphanedRaces).catch(err => {
+  console.error('Recovery failed:', err.message);
 });
+if (redis) {
+  setInterval(() => {
+    adoptOrphanedRaces().catch(err => console.error('Race takeover failed:', err.message));
+  }, RACE_LEASE_MS);
+}
+setInterval(() => {
+  runMatchmaking().catch(err => console.error('Matchmaking failed:', err.message));
+}, MATCHMAKING_INTERVAL_MS);
+setInterval(() => {
+  runEscrow().catch(err => console.error('Escrow sweep failed:', err.message));
+}, ESCROW_INTERVAL_MS);
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, '0.0.0.0', () => {
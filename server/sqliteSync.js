@@ -0,0 +1,245 @@
+const Database = require('better-sqlite3');
+const records = require('./persistenceRecords');
+
+// ============================================
+// SQLITE PERSISTENCE
+// ============================================
+//
+// Persistence backend on a local SQLite file (see persistence.js for the
+// interface). Documents are stored as JSON, with the columns queries filter
+// on alongside. better-sqlite3 is synchronous, so each call below runs to
+// completion before the next and read-modify-write needs no locking.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS lobbies (id TEXT PRIMARY KEY, status TEXT NOT NULL, data TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS lobbies_status ON lobbies (status);
+  CREATE TABLE IF NOT EXISTS races (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS active_races (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS ghost_traces (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS race_results (
+    race_id TEXT NOT NULL, oder_id TEXT NOT NULL, data TEXT NOT NULL,
+    PRIMARY KEY (race_id, oder_id)
+  );
+  CREATE TABLE IF NOT EXISTS race_telemetry (
+    race_id TEXT NOT NULL, oder_id TEXT NOT NULL, samples TEXT NOT NULL,
+    PRIMARY KEY (race_id, oder_id)
+  );
+  CREATE TABLE IF NOT EXISTS users (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS user_race_stats (
+    user_id TEXT NOT NULL, race_id TEXT NOT NULL,
+    PRIMARY KEY (user_id, race_id)
+  );
+  CREATE TABLE IF NOT EXISTS rating_history (
+    user_id TEXT NOT NULL, race_id TEXT NOT NULL, rated_at TEXT NOT NULL, data TEXT NOT NULL,
+    PRIMARY KEY (user_id, race_id)
+  );
+  CREATE TABLE IF NOT EXISTS earnings (
+    user_id TEXT NOT NULL, race_id TEXT NOT NULL, earned_at TEXT NOT NULL, data TEXT NOT NULL,
+    PRIMARY KEY (user_id, race_id)
+  );
+  CREATE TABLE IF NOT EXISTS personal_bests (
+    user_id TEXT NOT NULL, distance INTEGER NOT NULL, data TEXT NOT NULL,
+    PRIMARY KEY (user_id, distance)
+  );
+`;
+
+// Opens (and creates if needed) the database at `file`; ':memory:' for a throwaway one
+function createSqliteAdapter(file) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const parse = row => (row ? JSON.parse(row.data) : null);
+
+  const sql = {
+    getLobby: db.prepare('SELECT data FROM lobbies WHERE id = ?'),
+    putLobby: db.prepare('INSERT OR REPLACE INTO lobbies (id, status, data) VALUES (?, ?, ?)'),
+    openLobbies: db.prepare(`SELECT data FROM lobbies WHERE status IN (${records.OPEN_LOBBY_STATUSES.map(() => '?').join(', ')})`),
+    getRace: db.prepare('SELECT data FROM races WHERE id = ?'),
+    putRace: db.prepare('INSERT OR REPLACE INTO races (id, data) VALUES (?, ?)'),
+    putActiveRace: db.prepare('INSERT OR REPLACE INTO active_races (id, data) VALUES (?, ?)'),
+    deleteActiveRace: db.prepare('DELETE FROM active_races WHERE id = ?'),
+    activeRaces: db.prepare('SELECT data FROM active_races'),
+    getGhostTrace: db.prepare('SELECT data FROM ghost_traces WHERE id = ?'),
+    putGhostTrace: db.prepare('INSERT OR REPLACE INTO ghost_traces (id, data) VALUES (?, ?)'),
+    deleteGhostTrace: db.prepare('DELETE FROM ghost_traces WHERE id = ?'),
+    putResult: db.prepare('INSERT OR REPLACE INTO race_results (race_id, oder_id, data) VALUES (?, ?, ?)'),
+    results: db.prepare('SELECT data FROM race_results WHERE race_id = ? ORDER BY oder_id'),
+    putTelemetry: db.prepare('INSERT OR REPLACE INTO race_telemetry (race_id, oder_id, samples) VALUES (?, ?, ?)'),
+    telemetry: db.prepare('SELECT oder_id, samples FROM race_telemetry WHERE race_id = ?'),
+    getUser: db.prepare('SELECT data FROM users WHERE id = ?'),
+    putUser: db.prepare('INSERT OR REPLACE INTO users (id, data) VALUES (?, ?)'),
+    markStatsApplied: db.prepare('INSERT OR IGNORE INTO user_race_stats (user_id, race_id) VALUES (?, ?)'),
+    putRating: db.prepare('INSERT OR REPLACE INTO rating_history (user_id, race_id, rated_at, data) VALUES (?, ?, ?, ?)'),
+    ratingHistory: db.prepare('SELECT data FROM rating_history WHERE user_id = ? ORDER BY rated_at DESC, rowid DESC LIMIT ?'),
+    getEarnings: db.prepare('SELECT data FROM earnings WHERE user_id = ? AND race_id = ?'),
+    putEarnings: db.prepare('INSERT OR REPLACE INTO earnings (user_id, race_id, earned_at, data) VALUES (?, ?, ?, ?)'),
+    earnings: db.prepare('SELECT data FROM earnings WHERE user_id = ? ORDER BY earned_at DESC, rowid DESC LIMIT ?'),
+    getBest: db.prepare('SELECT data FROM personal_bests WHERE user_id = ? AND distance = ?'),
+    putBest: db.prepare('INSERT OR REPLACE INTO personal_bests (user_id, distance, data) VALUES (?, ?, ?)')
+  };
+
+  // Like Firestore's update(): the document must exist. With `upsert`, like
+  // set(..., { merge: true }): creates it if missing.
+  function updateLobby(lobbyId, change, upsert = false) {
+    const lobby = parse(sql.getLobby.get(lobbyId));
+    if (!lobby && !upsert) throw new Error(`No lobby ${lobbyId}`);
+    const updated = { ...lobby, ...change };
+    sql.putLobby.run(lobbyId, updated.status, JSON.stringify(updated));
+  }
+
+  // Like Firestore's set(..., { merge: true }): creates the document if missing
+  function mergeUser(userId, change) {
+    const user = { ...parse(sql.getUser.get(userId)), ...change };
+    sql.putUser.run(userId, JSON.stringify(user));
+  }
+
+  const saveResults = db.transaction((raceId, participants) => {
+    for (const p of participants) {
+      sql.putResult.run(raceId, p.oderId, JSON.stringify(records.resultRecord(p)));
+    }
+  });
+
+  // The marker row makes a repeat for the same race a no-op
+  const applyStats = db.transaction((userId, raceId, { totalRaces, totalWins, rating }) => {
+    if (sql.markStatsApplied.run(userId, raceId).changes === 0) return;
+    const user = parse(sql.getUser.get(userId));
+    const change = { totalRaces: ((user && user.totalRaces) || 0) + totalRaces, lastActive: records.now() };
+    if (totalWins) change.totalWins = ((user && user.totalWins) || 0) + totalWins;
+    if (rating) {
+      const entry = records.ratingHistoryRecord(rating, user);
+      change.skillRating = entry.ratingAfter;
+      sql.putRating.run(userId, raceId, entry.ratedAt, JSON.stringify(entry));
+    }
+    mergeUser(userId, change);
+  });
+
+  // The ledger row makes a repeat for the same race a no-op
+  const applyEarnings = db.transaction((userId, raceId, earnings) => {
+    if (sql.getEarnings.get(userId, raceId)) return;
+    const entry = records.earningsRecord(earnings, parse(sql.getUser.get(userId)));
+    sql.putEarnings.run(userId, raceId, entry.earnedAt, JSON.stringify(entry));
+    mergeUser(userId, { totalEarnings: entry.totalAfter });
+  });
+
+  const saveTelemetry = db.transaction((raceId, timeline) => {
+    for (const [oderId, samples] of Object.entries(timeline)) {
+      sql.putTelemetry.run(raceId, oderId, JSON.stringify(samples));
+    }
+  });
+
+  return {
+    backend: 'sqlite',
+    label: 'SQLite',
+
+    async syncLobbyCreated(lobby) {
+      sql.putLobby.run(lobby.id, lobby.status, JSON.stringify(records.lobbyRecord(lobby)));
+    },
+
+    async syncLobbyUpdated(lobby) {
+      updateLobby(lobby.id, records.lobbyStateChange(lobby), true);
+    },
+
+    async syncLobbyCompleted(lobby) {
+      updateLobby(lobby.id, records.lobbyCompletedChange(lobby));
+    },
+
+    async loadOpenLobbies() {
+      const recovered = sql.openLobbies.all(...records.OPEN_LOBBY_STATUSES).map(row => records.recoveredLobby(parse(row)));
+      console.log(`SQLite: recovered ${recovered.length} open lobbies`);
+      return recovered;
+    },
+
+    async syncGhostTrace(ghostId, trace) {
+      sql.putGhostTrace.run(ghostId, JSON.stringify(trace));
+    },
+
+    async getGhostTrace(ghostId) {
+      return parse(sql.getGhostTrace.get(ghostId));
+    },
+
+    async deleteGhostTrace(ghostId) {
+      sql.deleteGhostTrace.run(ghostId);
+    },
+
+    async syncRaceCompleted(race) {
+      sql.putRace.run(race.id, JSON.stringify(records.completedRaceRecord(race)));
+      saveResults(race.id, race.participants);
+      sql.deleteActiveRace.run(race.id);
+    },
+
+    async syncRaceCancelled(race, lobby) {
+      sql.putRace.run(race.id, JSON.stringify(records.cancelledRaceRecord(race, lobby)));
+      sql.deleteActiveRace.run(race.id);
+    },
+
+    async syncRaceSnapshot(race) {
+      sql.putActiveRace.run(race.id, JSON.stringify(records.raceSnapshotRecord(race)));
+    },
+
+    async loadActiveRaces() {
+      const recovered = sql.activeRaces.all().map(parse);
+      console.log(`SQLite: recovered ${recovered.length} active races`);
+      return recovered;
+    },
+
+    async syncRaceTelemetry(raceId, timeline) {
+      if (timeline) saveTelemetry(raceId, timeline);
+    },
+
+    async getRaceReplay(raceId) {
+      const race = parse(sql.getRace.get(raceId));
+      if (!race) return null;
+
+      const participants = sql.results.all(raceId).map(parse);
+      const timeline = {};
+      for (const row of sql.telemetry.all(raceId)) {
+        timeline[row.oder_id] = JSON.parse(row.samples);
+      }
+      return { race: { ...race, participants }, timeline };
+    },
+
+    async applyUserRaceStats(userId, raceId, increments) {
+      applyStats(userId, raceId, increments);
+    },
+
+    async getRatingHistory(userId, limit) {
+      return sql.ratingHistory.all(userId, limit).map(parse);
+    },
+
+    async applyUserEarnings(userId, raceId, entry) {
+      applyEarnings(userId, raceId, entry);
+    },
+
+    async getEarnings(userId, limit) {
+      return sql.earnings.all(userId, limit).map(parse);
+    },
+
+    async updatePersonalBests(race) {
+      for (const p of records.personalBestCandidates(race)) {
+        const existing = parse(sql.getBest.get(p.oderId, race.targetDistance));
+        if (!records.isNewPersonalBest(existing, p)) continue;
+        sql.putBest.run(p.oderId, race.targetDistance, JSON.stringify(records.personalBestRecord(race, p)));
+        console.log(`SQLite: user ${p.oderId} new ${race.targetDistance}m PB (${p.finishTime}ms)`);
+      }
+    },
+
+    async getPersonalBest(userId, distance) {
+      return parse(sql.getBest.get(userId, Number(distance)));
+    },
+
+    async saveUserProfile(userId, profileData) {
+      const existing = parse(sql.getUser.get(userId));
+      mergeUser(userId, records.profileChange(userId, profileData, existing));
+      return parse(sql.getUser.get(userId));
+    },
+
+    async getUserProfile(userId) {
+      return parse(sql.getUser.get(userId));
+    }
+  };
+}
+
+module.exports = {
+  createSqliteAdapter
+};
@@ -0,0 +1,299 @@
+// ============================================
+// STATE STORE
+// ============================================
+//
+// Lobbies, races, ghost traces and matchmaking tickets live behind this interface so several
+// server instances can share them. Two backends with the same async API:
+//
+//   createMemoryStore()        single instance (default)
+//   createRedisStore(redis)    any ioredis-compatible client; set REDIS_URL
+//
+// Documents are stored as JSON: a saved object is a copy, so change it and
+// save it again. Read-modify-write of a shared document goes through
+// withLock(). Each race is run by one instance, the holder of the race's
+// lease; other instances send it commands (pushRaceCommand) instead of
+// changing the race themselves.
+//
+// Races still running (status active or racing) are indexed, with their
+// binary raceKey; a finished race is kept for FINISHED_RACE_TTL_MS, long enough
+// for late readers, and then dropped (persistence has it). Lobbies are kept
+// until they are saved with `expireMs`, which the server does once a closed
+// lobby has nothing left to do.
+//
+// Only plain commands are used on Redis (no scripts or transactions) so any
+// Redis-compatible server can stand in for it.
+
+const { v4: uuidv4 } = require('uuid');
+
+// How long a lock is held at most, and how often a waiting caller retries
+const LOCK_TTL_MS = 5000;
+const LOCK_RETRY_MS = 20;
+
+const ACTIVE_RACE_STATUSES = ['active', 'racing'];
+const FINISHED_RACE_TTL_MS = 10 * 60 * 1000;
+// Expired documents are looked for at most this often (memory backend)
+const SWEEP_INTERVAL_MS = 1000;
+
+function isActiveRace(race) {
+  return ACTIVE_RACE_STATUSES.includes(race.status);
+}
+
+function copy(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// ---- in-memory backend ----
+
+// options.finishedRaceTtlMs overrides FINISHED_RACE_TTL_MS
+function createMemoryStore(options = {}) {
+  const finishedRaceTtlMs = options.finishedRaceTtlMs || FINISHED_RACE_TTL_MS;
+  const collections = { lobby: new Map(), race: new Map(), trace: new Map(), ticket: new Map() };
+  const expiry = { lobby: new Map(), race: new Map() }; // id -> expiresAt
+  const activeRaces = new Set();
+  const raceKeys = new Map(); // raceKey -> raceId, for active races
+  const commands = new Map();
+  const leases = new Map();
+  const lockChains = new Map();
+  let sweptAt = 0;
+
+  function sweep() {
+    const now = Date.now();
+    if (now - sweptAt < SWEEP_INTERVAL_MS) return;
+    sweptAt = now;
+    for (const [kind, expiring] of Object.entries(expiry)) {
+      for (const [id, expiresAt] of expiring) {
+        if (expiresAt > now) continue;
+        expiring.delete(id);
+        collections[kind].delete(id);
+      }
+    }
+  }
+
+  function isExpired(kind, id) {
+    const expiresAt = expiry[kind] && expiry[kind].get(id);
+    return Boolean(expiresAt) && expiresAt <= Date.now();
+  }
+
+  const get = async (kind, id) => (isExpired(kind, id) ? null : copy(collections[kind].get(id)));
+  const put = async (kind, id, value, expireMs) => {
+    sweep();
+    collections[kind].set(id, copy(value));
+    if (!expiry[kind]) return;
+    if (expireMs) expiry[kind].set(id, Date.now() + expireMs);
+    else expiry[kind].delete(id);
+  };
+  const remove = async (kind, id) => { collections[kind].delete(id); };
+  const list = async kind => {
+    sweep();
+    return Array.from(collections[kind], ([id, value]) => (isExpired(kind, id) ? null : copy(value))).filter(Boolean);
+  };
+
+  async function saveRace(race) {
+    if (raceKeys.get(race.raceKey) === race.id) raceKeys.delete(race.raceKey);
+    if (isActiveRace(race)) {
+      activeRaces.add(race.id);
+      if (race.raceKey !== undefined) raceKeys.set(race.raceKey, race.id);
+      await put('race', race.id, race);
+    } else {
+      activeRaces.delete(race.id);
+      await put('race', race.id, race, finishedRaceTtlMs);
+    }
+  }
+
+  function holder(name) {
+    const lease = leases.get(name);
+    return lease && lease.expiresAt > Date.now() ? lease.owner : null;
+  }
+
+  return {
+    backend: 'memory',
+    getLobby: id => get('lobby', id),
+    // expireMs: drop the lobby that long after this save
+    saveLobby: (lobby, { expireMs } = {}) => put('lobby', lobby.id, lobby, expireMs),
+    deleteLobby: id => remove('lobby', id),
+    listLobbies: () => list('lobby'),
+    getRace: id => get('race', id),
+    saveRace,
+    listActiveRaces: async () => Array.from(activeRaces, id => copy(collections.race.get(id))),
+    findRaceByKey: async raceKey => (raceKeys.has(raceKey) ? get('race', raceKeys.get(raceKey)) : null),
+    getGhostTrace: id => get('trace', id),
+    saveGhostTrace: (id, trace) => put('trace', id, trace),
+    deleteGhostTrace: id => remove('trace', id),
+    // Matchmaking tickets, one per user
+    getTicket: userId => get('ticket', userId),
+    saveTicket: ticket => put('ticket', ticket.userId, ticket),
+    deleteTicket: userId => remove('ticket', userId),
+    listTickets: () => list('ticket'),
+
+    async pushRaceCommand(raceId, command) {
+      if (!commands.has(raceId)) commands.set(raceId, []);
+      commands.get(raceId).push(copy(command));
+    },
+
+    async takeRaceCommands(raceId) {
+      const queued = commands.get(raceId) || [];
+      commands.delete(raceId);
+      return queued;
+    },
+
+    // Take or renew a lease; false if another owner holds it
+    async acquireLease(name, owner, ttlMs) {
+      const current = holder(name);
+      if (current && current !== owner) return false;
+      leases.set(name, { owner, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+
+    async releaseLease(name, owner) {
+      if (holder(name) === owner) leases.delete(name);
+    },
+
+    async leaseHolder(name) {
+      return holder(name);
+    },
+
+    // Run fn with the named lock held; callers queue up in order
+    async withLock(name, fn) {
+      const previous = lockChains.get(name) || Promise.resolve();
+      const run = previous.then(() => fn());
+      const settled = run.catch(() => {});
+      lockChains.set(name, settled);
+      settled.then(() => {
+        if (lockChains.get(name) === settled) lockChains.delete(name);
+      });
+      return run;
+    }
+  };
+}
+
+// ---- Redis backend ----
+
+function createRedisStore(redis, prefix = 'pm5:', options = {}) {
+  const finishedRaceTtlMs = options.finishedRaceTtlMs || FINISHED_RACE_TTL_MS;
+  const key = (...parts) => prefix + parts.join(':');
+
+  async function get(kind, id) {
+    const json = await redis.get(key(kind, id));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async function put(kind, id, value, expireMs) {
+    if (expireMs) await redis.set(key(kind, id), JSON.stringify(value), 'PX', expireMs);
+    else await redis.set(key(kind, id), JSON.stringify(value));
+    await redis.sadd(key(kind, 'ids'), id);
+  }
+
+  async function remove(kind, id) {
+    await redis.del(key(kind, id));
+    await redis.srem(key(kind, 'ids'), id);
+  }
+
+  // Ids whose document expired are dropped from the set on the way
+  async function list(kind, setName = 'ids') {
+    const ids = await redis.smembers(key(kind, setName));
+    const docs = await Promise.all(ids.map(id => get(kind, id)));
+    const gone = ids.filter((id, i) => !docs[i]);
+    if (gone.length > 0) await redis.srem(key(kind, setName), ...gone);
+    return docs.filter(Boolean);
+  }
+
+  // Only active races are listed; a finished one expires on its own
+  async function saveRace(race) {
+    const json = JSON.stringify(race);
+    if (isActiveRace(race)) {
+      await redis.set(key('race', race.id), json);
+      await redis.sadd(key('race', 'active'), race.id);
+      if (race.raceKey !== undefined) await redis.hset(key('race', 'keys'), String(race.raceKey), race.id);
+    } else {
+      await redis.set(key('race', race.id), json, 'PX', finishedRaceTtlMs);
+      await redis.srem(key('race', 'active'), race.id);
+      // The key is only 32 bits: leave it alone if another race took it since
+      if (race.raceKey !== undefined && await redis.hget(key('race', 'keys'), String(race.raceKey)) === race.id) {
+        await redis.hdel(key('race', 'keys'), String(race.raceKey));
+      }
+    }
+  }
+
+  async function findRaceByKey(raceKey) {
+    const raceId = await redis.hget(key('race', 'keys'), String(raceKey));
+    return raceId ? get('race', raceId) : null;
+  }
+
+  async function acquireLease(name, owner, ttlMs) {
+    const leaseKey = key('lease', name);
+    if (await redis.set(leaseKey, owner, 'PX', ttlMs, 'NX')) return true;
+    // Renew our own lease
+    if (await redis.get(leaseKey) !== owner) return false;
+    return Boolean(await redis.set(leaseKey, owner, 'PX', ttlMs, 'XX'));
+  }
+
+  async function releaseLease(name, owner) {
+    const leaseKey = key('lease', name);
+    if (await redis.get(leaseKey) === owner) await redis.del(leaseKey);
+  }
+
+  return {
+    backend: 'redis',
+    getLobby: id => get('lobby', id),
+    saveLobby: (lobby, { expireMs } = {}) => put('lobby', lobby.id, lobby, expireMs),
+    deleteLobby: id => remove('lobby', id),
+    listLobbies: () => list('lobby'),
+    getRace: id => get('race', id),
+    saveRace,
+    listActiveRaces: () => list('race', 'active'),
+    findRaceByKey,
+    getGhostTrace: id => get('trace', id),
+    saveGhostTrace: (id, trace) => put('trace', id, trace),
+    deleteGhostTrace: id => remove('trace', id),
+    getTicket: userId => get('ticket', userId),
+    saveTicket: ticket => put('ticket', ticket.userId, ticket),
+    deleteTicket: userId => remove('ticket', userId),
+    listTickets: () => list('ticket'),
+
+    async pushRaceCommand(raceId, command) {
+      await redis.rpush(key('commands', raceId), JSON.stringify(command));
+    },
+
+    // Read the queue, then trim exactly what was read: commands pushed in between stay queued
+    async takeRaceCommands(raceId) {
+      const queueKey = key('commands', raceId);
+      const queued = await redis.lrange(queueKey, 0, -1);
+      if (queued.length > 0) await redis.ltrim(queueKey, queued.length, -1);
+      return queued.map(json => JSON.parse(json));
+    },
+
+    acquireLease,
+    releaseLease,
+
+    async leaseHolder(name) {
+      return redis.get(key('lease', name));
+    },
+
+    // Spin on a short-lived lease; it expires on its own if the holder dies
+    async withLock(name, fn) {
+      const lockName = `lock:${name}`;
+      const token = uuidv4();
+      const deadline = Date.now() + LOCK_TTL_MS;
+      while (!(await acquireLease(lockName, token, LOCK_TTL_MS))) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${name}`);
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+      try {
+        return await fn();
+      } finally {
+        await releaseLease(lockName, token);
+      }
+    }
+  };
+}
+
+// Redis when REDIS_URL is set, in-memory otherwise
+function createStore(redis) {
+  return redis ? createRedisStore(redis) : createMemoryStore();
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createStore
+};
@@ -0,0 +1,131 @@
+// ============================================
+// RACE TELEMETRY
+// ============================================
+//
+// Time-stamped sample stream per participant, kept while a race runs and
+// stored with the finished race for replays and distance-gap charts.
+// Timelines live outside the race object so they are never broadcast
+// with raceUpdate.
+
+// raceId -> { oderId -> [{ t, distance, pace, watts }] }
+const timelines = new Map();
+
+// Drop samples that arrive faster than this per participant
+const MIN_SAMPLE_INTERVAL_MS = 250;
+
+function recordSample(race, participant, now = Date.now()) {
+  if (!race.startTime) return;
+
+  let timeline = timelines.get(race.id);
+  if (!timeline) {
+    timeline = {};
+    timelines.set(race.id, timeline);
+  }
+
+  const samples = timeline[participant.oderId] || (timeline[participant.oderId] = []);
+  const t = now - race.startTime;
+  const last = samples[samples.length - 1];
+  if (last && t - last.t < MIN_SAMPLE_INTERVAL_MS) return;
+
+  samples.push({
+    t,
+    distance: participant.distance,
+    pace: participant.pace,
+    watts: participant.watts
+  });
+}
+
+// Record a sample for every participant still rowing (used by the race loop for bots)
+function recordBotSamples(race) {
+  race.participants.forEach(p => {
+    if (p.isBot && !p.isFinished) recordSample(race, p);
+  });
+}
+
+// Add the final position of every participant so the replay ends on the line
+function recordFinalSamples(race) {
+  if (!race.startTime) return;
+
+  const timeline = timelines.get(race.id) || {};
+  timelines.set(race.id, timeline);
+
+  race.participants.forEach(p => {
+    const samples = timeline[p.oderId] || (timeline[p.oderId] = []);
+    const t = p.finishTime !== null ? p.finishTime : Date.now() - race.startTime;
+    const last = samples[samples.length - 1];
+    if (last && last.t >= t) return;
+    samples.push({ t, distance: p.distance, pace: p.pace, watts: p.watts });
+  });
+}
+
+function getTimeline(raceId) {
+  return timelines.get(raceId) || null;
+}
+
+// Keep the last sample of each `interval` ms bucket, then thin to at most `maxPoints`.
+// The first and last samples are always kept.
+function downsample(samples, { interval, maxPoints } = {}) {
+  let result = samples;
+
+  if (interval > 0) {
+    const buckets = new Map();
+    for (const sample of result) {
+      buckets.set(Math.floor(sample.t / interval), sample);
+    }
+    result = Array.from(buckets.values());
+    if (samples.length > 0 && result[0] !== samples[0]) {
+      result.unshift(samples[0]);
+    }
+  }
+
+  if (maxPoints > 1 && result.length > maxPoints) {
+    const step = (result.length - 1) / (maxPoints - 1);
+    const thinned = [];
+    for (let i = 0; i < maxPoints; i++) {
+      thinned.push(result[Math.round(i * step)]);
+    }
+    result = thinned;
+  }
+
+  return result;
+}
+
+// Build the replay payload from a race (or its stored summary) and its timeline.
+// `complete` is false when the race was resumed on another instance or after a
+// restart, which loses the samples taken before.
+function buildReplay(race, timeline, options) {
+  return {
+    raceId: race.id,
+    lobbyId: race.lobbyId,
+    raceType: race.raceType || 'distance',
+    targetDistance: race.targetDistance || null,
+    targetDuration: race.targetDuration || null,
+    startTime: race.startTime,
+    complete: !race.telemetryIncomplete,
+    participants: race.participants.map(p => ({
+      oderId: p.oderId,
+      displayName: p.displayName,
+      equipmentType: p.equipmentType,
+      isBot: p.isBot || false,
+      position: p.position || null,
+      finishTime: p.finishTime || null,
+      samples: downsample((timeline && timeline[p.oderId]) || [], options)
+    }))
+  };
+}
+
+// Drop a race's timeline once it is persisted: replays and ghosts of finished
+// races are read back from persistence
+function discardTimeline(raceId) {
+  timelines.delete(raceId);
+}
+
+module.exports = {
+  recordSample,
+  recordBotSamples,
+  recordFinalSamples,
+  getTimeline,
+  discardTimeline,
+  downsample,
+  buildReplay
+};
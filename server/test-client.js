@@ -1,19 +1,22 @@
 const { io } = require("socket.io-client");
 
-//const socket = io("http://localhost:3000");
-const socket = io("https://bc1f33e92fa6.ngrok-free.app");
-
-
 let currentLobbyId = null;
 const oderId = "test-oder-" + Date.now();
 
+// Firebase ID token, or a dev token when the server runs with AUTH_DEV_TOKENS=1
+const token = process.env.ID_TOKEN || `dev:${oderId}`;
+
+//const socket = io("http://localhost:3000", { auth: { token } });
+const socket = io("https://bc1f33e92fa6.ngrok-free.app", { auth: { token } });
+
 socket.on("connect", () => {
   console.log("Connected with id:", socket.id);
   console.log("\nCommands:");
   console.log("  list        - Get lobby list");
   console.log("  create      - Create a lobby");
   console.log("  join <id>   - Join a lobby");
-  console.log("  bot <diff>  - Add bot (easy/medium/hard/elite)");
+  console.log("  spectate <id> - Watch a lobby's race");
+  console.log("  bot <diff> [pacing] - Add bot (easy/medium/hard/elite; even/fast_start/negative_split/sprint_finish/rabbit)");
   console.log("  ready       - Set ready");
   console.log("  start       - Start race");
   console.log("  quit        - Exit\n");
@@ -44,12 +47,43 @@ socket.on("raceStarted", (race) => {
   console.log("\nRace started!", race.id);
 });
 
-socket.on("raceUpdate", (race) => {
-  const positions = race.participants
+// Full race (periodic snapshot or resync), then deltas numbered by seq
+let raceState = null;
+
+function printPositions(race) {
+  const positions = [...race.participants]
     .sort((a, b) => b.distance - a.distance)
     .map((p, i) => `${i + 1}. ${p.displayName}: ${p.distance.toFixed(1)}m`)
     .join(" | ");
   process.stdout.write(`\r${positions}          `);
+}
+
+socket.on("raceUpdate", (race) => {
+  if (raceState && raceState.id === race.id && race.seq < raceState.seq) return;
+  raceState = race;
+  printPositions(raceState);
+});
+
+socket.on("raceDelta", (delta) => {
+  if (!raceState || raceState.id !== delta.raceId || delta.seq !== raceState.seq + 1) {
+    socket.emit("resyncRace", { raceId: delta.raceId });
+    return;
+  }
+  raceState.seq = delta.seq;
+  Object.assign(raceState, delta.race);
+  delta.participants.forEach((changes) => {
+    const participant = raceState.participants.find((p) => p.oderId === changes.oderId);
+    if (participant) Object.assign(participant, changes);
+  });
+  printPositions(raceState);
+});
+
+// Spectators get standings instead of raceUpdate/raceDelta
+socket.on("spectatorLeaderboard", (board) => {
+  const positions = board.entries
+    .map((e) => `${e.position || "-"}. ${e.displayName}: ${e.distance.toFixed(1)}m${e.gapSeconds ? ` (+${e.gapSeconds}s)` : ""}`)
+    .join(" | ");
+  process.stdout.write(`\r${positions}          `);
 });
 
 socket.on("raceCompleted", (race) => {
@@ -104,6 +138,15 @@ rl.on("line", (line) => {
       });
       break;
 
+    case "spectate":
+      currentLobbyId = args[0] || currentLobbyId;
+      if (!currentLobbyId) {
+        console.log("No lobby ID. Specify: spectate <id>");
+        break;
+      }
+      socket.emit("spectateLobby", { lobbyId: currentLobbyId });
+      break;
+
     case "bot":
       if (!currentLobbyId) {
         console.log("No lobby. Create or join one first.");
@@ -112,6 +155,7 @@ rl.on("line", (line) => {
       socket.emit("addBot", {
         lobbyId: currentLobbyId,
         difficulty: args[0] || "medium",
+        pacing: args[1] || "even",
       });
       break;
 
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const antiCheat = require('../antiCheat');
+
+const race = () => ({ id: 'race-1', startTime: 0 });
+
+function racer(extra = {}) {
+  return { displayName: 'Racer', equipmentType: 'rower', distance: 0, ...extra };
+}
+
+// 125 s/500m is about 179 W on a rower
+const steady = distance => ({ distance, pace: 125, watts: 180 });
+
+test('expectedWatts: the Concept2 formula', () => {
+  assert.ok(Math.abs(antiCheat.expectedWatts('rower', 125) - 179.2) < 1e-9);
+  assert.ok(Math.abs(antiCheat.expectedWatts('bike', 125) - 22.4) < 1e-9);
+});
+
+test('checkMetrics: a plausible update is accepted', () => {
+  const p = racer();
+  assert.equal(antiCheat.checkMetrics(race(), p, steady(40), 10000), true);
+  assert.equal(p.lastUpdateAt, 10000);
+  assert.equal(p.violations, undefined);
+  assert.equal(p.flagged, undefined);
+});
+
+test('checkMetrics: missing or negative figures are rejected', () => {
+  const p = racer();
+  assert.equal(antiCheat.checkMetrics(race(), p, { distance: 10 }, 10000), false);
+  assert.equal(antiCheat.checkMetrics(race(), p, { distance: -1, pace: 0, watts: 0 }, 10000), false);
+  assert.deepEqual(p.violations.map(v => v.type), ['invalid_metrics', 'invalid_metrics']);
+  assert.equal(p.lastUpdateAt, undefined);
+});
+
+test('checkMetrics: distance going backwards is rejected', () => {
+  const p = racer({ distance: 50, lastUpdateAt: 9000 });
+  assert.equal(antiCheat.checkMetrics(race(), p, steady(40), 10000), false);
+  assert.equal(p.violations[0].type, 'distance_backwards');
+  assert.equal(p.rejectedUpdates, 1);
+  assert.equal(p.flagged, true);
+});
+
+test('checkMetrics: the monitor meters are checked when the race keeps them apart', () => {
+  // Scored at 20m in a normalized race, 40m on the bike's monitor
+  const p = racer({ equipmentType: 'bike', distance: 20, rawDistance: 40, lastUpdateAt: 9000 });
+  assert.equal(antiCheat.checkMetrics(race(), p, steady(30), 10000), false);
+  assert.equal(p.violations[0].type, 'distance_backwards');
+});
+
+test('checkMetrics: speed is measured over at least two seconds', () => {
+  // 15m a second after the last update is 7.5 m/s over the window, 20m is 10 m/s
+  assert.equal(antiCheat.checkMetrics(race(), racer({ distance: 40, lastUpdateAt: 10000 }), steady(55), 11000), true);
+  const p = racer({ distance: 40, lastUpdateAt: 10000 });
+  assert.equal(antiCheat.checkMetrics(race(), p, steady(60), 11000), false);
+  assert.equal(p.violations[0].type, 'speed_exceeded');
+  // Bike meters count double
+  const bike = racer({ equipmentType: 'bike', distance: 40, lastUpdateAt: 10000 });
+  assert.equal(antiCheat.checkMetrics(race(), bike, { distance: 60, pace: 0, watts: 0 }, 11000), true);
+});
+
+test('checkMetrics: the third rejected update disqualifies', () => {
+  const r = race();
+  const p = racer({ distance: 50, lastUpdateAt: 9000 });
+  for (let i = 0; i < 3; i++) antiCheat.checkMetrics(r, p, steady(40), 10000);
+  assert.equal(p.disqualified, true);
+  assert.equal(p.isFinished, true);
+  assert.equal(p.finishTime, null);
+  assert.deepEqual(p.violations.map(v => v.type), ['distance_backwards', 'distance_backwards', 'distance_backwards', 'disqualified']);
+});
+
+test('checkMetrics: more meters than anyone could cover since the start disqualifies', () => {
+  // 10 s at burst speed plus 50m of slack is 130m, reached in steps that each look fine
+  const p = racer({ distance: 120, lastUpdateAt: 9000 });
+  assert.equal(antiCheat.checkMetrics(race(), p, steady(135), 10000), false);
+  assert.equal(p.disqualified, true);
+  assert.equal(p.rejectedUpdates, undefined);
+});
+
+test('checkMetrics: pace and watts that disagree only flag the racer, once', () => {
+  const p = racer();
+  assert.equal(antiCheat.checkMetrics(race(), p, { distance: 40, pace: 125, watts: 400 }, 10000), true);
+  p.distance = 40;
+  assert.equal(antiCheat.checkMetrics(race(), p, { distance: 48, pace: 125, watts: 400 }, 12000), true);
+  assert.deepEqual(p.violations.map(v => v.type), ['watts_mismatch']);
+  assert.equal(p.flagged, true);
+  assert.equal(p.disqualified, undefined);
+});
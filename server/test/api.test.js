@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { io } = require('socket.io-client');
+
+// The server runs in its own process, with dev tokens and in-memory state
+const PORT = 39000 + (process.pid % 1000);
+const URL = `http://localhost:${PORT}`;
+
+let server;
+
+test.before(() => new Promise((resolve, reject) => {
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      AUTH_DEV_TOKENS: '1',
+      PERSISTENCE: 'memory',
+      REDIS_URL: '',
+      ESCROW_RPC_URL: ''
+    },
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+  let output = '';
+  server.stdout.on('data', chunk => {
+    output += chunk;
+    if (output.includes('PM5 Racing Server')) resolve();
+  });
+  server.on('exit', code => reject(new Error(`Server exited with ${code}`)));
+}));
+
+test.after(() => server.kill());
+
+async function rest(method, route, uid, body) {
+  const response = await fetch(`${URL}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer dev:${uid}` },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function connect(uid) {
+  const socket = io(URL, { auth: { token: `dev:${uid}` }, transports: ['websocket'] });
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', reject);
+  });
+  return socket;
+}
+
+async function createLobby(uid) {
+  const { status, body } = await rest('POST', '/api/lobby', uid, { raceDistance: 500 });
+  assert.equal(status, 200);
+  return body;
+}
+
+const botFields = { isBot: true, botDifficulty: 'elite', status: 'ready' };
+
+test('a racer joining over REST can only set their own public fields', async () => {
+  const lobby = await createLobby('creator-1');
+  const refused = await rest('POST', `/api/lobby/${lobby.id}/join`, 'racer-1', { displayName: 'Racer', ...botFields });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'validation_error');
+
+  const { body } = await rest('POST', `/api/lobby/${lobby.id}/join`, 'racer-1', { displayName: 'Racer', equipmentType: 'bike' });
+  const racer = body.participants.find(p => p.oderId === 'racer-1');
+  assert.equal(racer.isBot, false);
+  assert.equal(racer.botDifficulty, null);
+  assert.equal(racer.status, 'deposited');
+  assert.equal(racer.equipmentType, 'bike');
+});
+
+test('a racer joining over a socket joins as themselves, as a human', async (t) => {
+  const lobby = await createLobby('creator-2');
+  const socket = await connect('racer-2');
+  t.after(() => socket.close());
+  const refused = await socket.emitWithAck('joinLobby', {
+    lobbyId: lobby.id,
+    participant: { displayName: 'Racer', ...botFields }
+  });
+  assert.equal(refused.error.code, 'validation_error');
+
+  const result = await socket.emitWithAck('joinLobby', {
+    lobbyId: lobby.id,
+    participant: { displayName: 'Racer', id: 'someone-else', oderId: 'someone-else' }
+  });
+  const racer = result.data.participants.find(p => p.displayName === 'Racer');
+  assert.equal(racer.oderId, 'racer-2');
+  assert.equal(racer.isBot, false);
+  assert.equal(racer.botDifficulty, null);
+});
+
+test('a racer who leaves mid-race is DNF and the race completes without them', { timeout: 30000 }, async (t) => {
+  const a = await connect('leaver-a');
+  const b = await connect('leaver-b');
+  t.after(() => { a.close(); b.close(); });
+  const { data: lobby } = await a.emitWithAck('createLobby', { raceDistance: 10 });
+  for (const [socket, name] of [[a, 'A'], [b, 'B']]) {
+    await socket.emitWithAck('joinLobby', { lobbyId: lobby.id, participant: { displayName: name } });
+    await socket.emitWithAck('setReady', { lobbyId: lobby.id });
+  }
+
+  const started = new Promise(resolve => a.once('raceStarted', resolve));
+  const completed = new Promise(resolve => a.once('raceCompleted', resolve));
+  await a.emitWithAck('startRace', { lobbyId: lobby.id });
+  const race = await started;
+
+  // A finishes, at a plausible speed, then B leaves
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  await a.emitWithAck('raceUpdate', { raceId: race.id, metrics: { distance: 10, pace: 125, watts: 180 } });
+  await b.emitWithAck('leaveLobby', { lobbyId: lobby.id });
+
+  const result = await completed;
+  const byId = Object.fromEntries(result.participants.map(p => [p.oderId, p]));
+  assert.equal(byId['leaver-a'].position, 1);
+  assert.equal(byId['leaver-b'].dnf, true);
+  assert.equal(byId['leaver-b'].position, null);
+});
+
+test('a spectator who starts watching mid-race gets the standings every tick', { timeout: 30000 }, async (t) => {
+  const racer = await connect('watched-racer');
+  const spectator = await connect('watcher');
+  t.after(() => { racer.close(); spectator.close(); });
+  const { data: lobby } = await racer.emitWithAck('createLobby', { raceDistance: 500 });
+  await racer.emitWithAck('joinLobby', { lobbyId: lobby.id, participant: { displayName: 'Racer' } });
+  await racer.emitWithAck('addBot', { lobbyId: lobby.id, difficulty: 'easy' });
+  await racer.emitWithAck('setReady', { lobbyId: lobby.id });
+
+  const started = new Promise(resolve => racer.once('raceStarted', resolve));
+  await racer.emitWithAck('startRace', { lobbyId: lobby.id });
+  await started;
+
+  const boards = [];
+  spectator.on('spectatorLeaderboard', board => boards.push(board));
+  const watching = await spectator.emitWithAck('spectateLobby', { lobbyId: lobby.id });
+  assert.equal(watching.data.spectatorCount, 1);
+  // One right away, then one per tick as the bot moves
+  await new Promise(resolve => setTimeout(resolve, 2500));
+  assert.ok(boards.length >= 3, `${boards.length} leaderboards`);
+  await racer.emitWithAck('cancelRace', { lobbyId: lobby.id });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const broadcast = require('../broadcast');
+
+let raceCount = 0;
+
+function race() {
+  raceCount++;
+  return {
+    id: `race-${raceCount}`,
+    status: 'racing',
+    participants: [
+      { oderId: 'a', distance: 0, pace: 0, intervals: [], violations: [], lastUpdateAt: 1 },
+      { oderId: 'b', distance: 0, pace: 0, isBot: true, botDifficulty: 'easy', simulatedAt: 1 }
+    ]
+  };
+}
+
+test('publicRace: participants keep only their public fields', () => {
+  const r = race();
+  r.participants[0].ratingChange = 12;
+  const sent = broadcast.publicRace(r);
+  assert.deepEqual(sent.participants[0], { oderId: 'a', distance: 0, pace: 0, intervals: [], ratingChange: 12 });
+  assert.equal(sent.participants[1].simulatedAt, undefined);
+  assert.equal(sent.status, 'racing');
+  // The race itself is left alone
+  assert.deepEqual(r.participants[0].violations, []);
+});
+
+test('tick: the first tick is a snapshot, then only changes go out', () => {
+  const r = race();
+  const first = broadcast.tick(r);
+  assert.equal(first.event, 'raceUpdate');
+  assert.equal(first.payload.seq, 1);
+  assert.equal(first.payload.participants[0].violations, undefined);
+
+  assert.equal(broadcast.tick(r), null);
+
+  r.participants[0].distance = 12.5;
+  r.status = 'completed';
+  const second = broadcast.tick(r);
+  assert.equal(second.event, 'raceDelta');
+  assert.deepEqual(second.payload, {
+    raceId: r.id,
+    seq: 2,
+    race: { status: 'completed' },
+    participants: [{ oderId: 'a', distance: 12.5 }]
+  });
+  assert.equal(r.seq, 2);
+});
+
+test('tick: changes to server bookkeeping send nothing', () => {
+  const r = race();
+  broadcast.tick(r);
+  r.participants[0].violations.push({ type: 'speed' });
+  r.participants[0].lastUpdateAt = 2;
+  r.participants[1].simulatedAt = 2;
+  assert.equal(broadcast.tick(r), null);
+});
+
+test('tick: an entry added to a nested array is a change', () => {
+  const r = race();
+  broadcast.tick(r);
+  r.participants[0].intervals.push({ rep: 1, time: 95 });
+  const { payload } = broadcast.tick(r);
+  assert.deepEqual(payload.participants, [{ oderId: 'a', intervals: [{ rep: 1, time: 95 }] }]);
+});
+
+test('tick: a snapshot goes out every tenth tick', () => {
+  const r = race();
+  const events = [];
+  for (let i = 0; i < 21; i++) {
+    r.participants[0].distance = i;
+    events.push(broadcast.tick(r).event);
+  }
+  assert.deepEqual(events.map((event, i) => [i, event]).filter(([, event]) => event === 'raceUpdate').map(([i]) => i), [0, 10, 20]);
+  assert.equal(r.seq, 21);
+});
+
+test('currentSnapshot: the full race at the last seq sent', () => {
+  const r = race();
+  broadcast.tick(r);
+  r.participants[0].distance = 5;
+  broadcast.tick(r);
+  const snapshot = broadcast.currentSnapshot(r);
+  assert.equal(snapshot.seq, 2);
+  assert.equal(snapshot.participants[0].distance, 5);
+  assert.equal(snapshot.participants[0].lastUpdateAt, undefined);
+});
+
+test('a stream picks up its seq from the race after it ends', () => {
+  const r = race();
+  broadcast.tick(r);
+  r.participants[0].distance = 5;
+  broadcast.tick(r);
+  broadcast.endStream(r.id);
+
+  // Another instance takes the race over from its stored copy
+  assert.equal(broadcast.currentSnapshot(r).seq, 2);
+  const resumed = broadcast.tick(r);
+  assert.equal(resumed.event, 'raceUpdate');
+  assert.equal(resumed.payload.seq, 3);
+});
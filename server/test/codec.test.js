@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const codec = require('../codec');
+
+function race() {
+  return {
+    id: 'c0ffee12-3456-4789-abcd-ef0123456789',
+    raceKey: codec.raceKeyFor('c0ffee12-3456-4789-abcd-ef0123456789'),
+    participants: [
+      { oderId: 'a', distance: 120.5, pace: 105, watts: 302.6, position: null, strokeRate: 28, finishTime: null, isFinished: false, disconnected: false, dnf: false },
+      { oderId: 'b', distance: 500, pace: 98, watts: 340, position: 1, strokeRate: 0, finishTime: 95123, isFinished: true, flagged: true }
+    ]
+  };
+}
+
+test('negotiateEncoding: binary only when asked for', () => {
+  assert.equal(codec.negotiateEncoding({ encoding: 'binary' }), 'binary');
+  assert.equal(codec.negotiateEncoding({ encoding: 'msgpack' }), 'json');
+  assert.equal(codec.negotiateEncoding(undefined), 'json');
+});
+
+test('raceKeyFor: the first 32 bits of the race id', () => {
+  assert.equal(codec.raceKeyFor('c0ffee12-3456-4789-abcd-ef0123456789'), 0xc0ffee12);
+});
+
+test('metrics frames round-trip', () => {
+  const frame = codec.encodeMetrics(0xc0ffee12, { distance: 250, pace: 110.5, watts: 210 });
+  assert.equal(frame.length, 17);
+  assert.deepEqual(codec.decodeMetrics(frame), {
+    raceKey: 0xc0ffee12,
+    metrics: { distance: 250, pace: 110.5, watts: 210 }
+  });
+  // An ArrayBuffer view, as a browser client sends it
+  const view = new Uint8Array(frame);
+  assert.deepEqual(codec.decodeMetrics(view), codec.decodeMetrics(frame));
+});
+
+test('malformed metrics frames decode to null', () => {
+  const frame = codec.encodeMetrics(1, { distance: 1, pace: 1, watts: 1 });
+  assert.equal(codec.decodeMetrics(frame.subarray(0, 16)), null);
+  assert.equal(codec.decodeMetrics(Buffer.concat([frame, Buffer.alloc(1)])), null);
+  assert.equal(codec.decodeMetrics(Buffer.from([2, ...frame.subarray(1)])), null);
+  assert.equal(codec.decodeMetrics('not a frame'), null);
+});
+
+test('delta frames carry each changed participant\'s live state', () => {
+  const r = race();
+  const frame = codec.encodeDelta(r, { raceId: r.id, seq: 7, participants: [{ oderId: 'b', distance: 500, isFinished: true }] });
+  assert.equal(frame.length, 10 + 18);
+  const decoded = codec.decodeDelta(frame);
+  assert.equal(decoded.raceKey, r.raceKey);
+  assert.equal(decoded.seq, 7);
+  assert.deepEqual(decoded.participants, [{
+    index: 1,
+    distance: 500,
+    pace: 98,
+    watts: 340,
+    position: 1,
+    strokeRate: null,
+    finishTime: 95123,
+    isFinished: true,
+    disconnected: false,
+    dnf: false,
+    disqualified: false,
+    flagged: true
+  }]);
+});
+
+test('delta frames round numbers to their field sizes', () => {
+  const r = race();
+  const [record] = codec.decodeDelta(codec.encodeDelta(r, { seq: 1, participants: [{ oderId: 'a', watts: 302.6 }] })).participants;
+  assert.equal(record.index, 0);
+  assert.equal(record.watts, 303);
+  assert.equal(record.strokeRate, 28);
+  assert.equal(record.finishTime, null);
+  assert.ok(Math.abs(record.distance - 120.5) < 1e-4);
+});
+
+test('deltas that don\'t fit a record stay JSON', () => {
+  const r = race();
+  assert.equal(codec.encodeDelta(r, { seq: 1, race: { status: 'completed' }, participants: [] }), null);
+  assert.equal(codec.encodeDelta(r, { seq: 1, participants: [{ oderId: 'a', intervals: [] }] }), null);
+  // Raw monitor figures are left for the next snapshot
+  assert.notEqual(codec.encodeDelta(r, { seq: 1, participants: [{ oderId: 'a', rawDistance: 3 }] }), null);
+});
+
+test('malformed delta frames decode to null', () => {
+  const r = race();
+  const frame = codec.encodeDelta(r, { seq: 1, participants: [{ oderId: 'a', distance: 1 }] });
+  assert.equal(codec.decodeDelta(frame.subarray(0, frame.length - 1)), null);
+  assert.equal(codec.decodeDelta(codec.encodeMetrics(1, { distance: 1, pace: 1, watts: 1 })), null);
+});
+
+test('participantIndex lists oderIds in race order', () => {
+  assert.deepEqual(codec.participantIndex(race()), ['a', 'b']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const escrow = require('../escrow');
+
+const WALLET = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+const OTHER_WALLET = '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0';
+
+function lobby(extra = {}) {
+  return { id: 'lobby-1', entryFee: '1000000', payoutMode: 'top_three', status: 'waiting', participants: [], ...extra };
+}
+
+test('withDeposits: deposits are added to the lobby\'s escrow state', () => {
+  const first = escrow.withDeposits(lobby(), [{ oderId: 'u1', walletAddress: WALLET }]);
+  assert.equal(first.raceKey, escrow.raceKeyFor('lobby-1'));
+  assert.deepEqual(first.calls, {});
+  assert.deepEqual(first.deposits, [{ oderId: 'u1', walletAddress: WALLET }]);
+
+  const second = escrow.withDeposits(lobby({ escrow: first }), [{ oderId: 'u2', walletAddress: OTHER_WALLET }]);
+  assert.deepEqual(second.deposits.map(d => d.oderId), ['u1', 'u2']);
+});
+
+test('withDeposits: a wallet is recorded once, however it is written', () => {
+  const first = escrow.withDeposits(lobby(), [{ oderId: 'u1', walletAddress: WALLET }]);
+  // The racer left and joined again with the same wallet
+  const again = escrow.withDeposits(lobby({ escrow: first }), [{ oderId: 'u1', walletAddress: WALLET.toLowerCase() }]);
+  assert.equal(again.deposits.length, 1);
+});
+
+test('withCall: keeps the recorded deposits', () => {
+  const state = escrow.withDeposits(lobby(), [{ oderId: 'u1', walletAddress: WALLET }]);
+  const updated = escrow.withCall(lobby({ escrow: state }), 'createRace', { status: 'confirmed' });
+  assert.equal(updated.deposits.length, 1);
+  assert.equal(updated.calls.createRace.status, 'confirmed');
+});
+
+function call(l) {
+  const next = escrow.nextCall(l);
+  return next && next.name;
+}
+
+test('nextCall: a paid lobby is created on the contract while it waits or races', () => {
+  const next = escrow.nextCall(lobby());
+  assert.deepEqual(next, { name: 'createRace', args: [escrow.raceKeyFor('lobby-1'), 1000000n, 1] });
+  assert.equal(call(lobby({ status: 'in_progress', payoutMode: 'winner_takes_all' })), 'createRace');
+  assert.equal(escrow.nextCall(lobby({ payoutMode: 'unknown' })).args[2], 0);
+  assert.equal(escrow.nextCall(lobby({ entryFee: '0' })), null);
+  assert.equal(escrow.nextCall(null), null);
+});
+
+test('nextCall: a completed race pays its winners in finishing order', () => {
+  const raceResults = [
+    { oderId: 'u2', walletAddress: OTHER_WALLET.toLowerCase(), position: 2 },
+    { oderId: 'bot', isBot: true, walletAddress: WALLET, position: 3 },
+    { oderId: 'u1', walletAddress: WALLET, position: 1 }
+  ];
+  const next = escrow.nextCall(lobby({ status: 'completed', raceResults }));
+  assert.equal(next.name, 'distributePrizes');
+  assert.deepEqual(next.args[1], [WALLET, OTHER_WALLET]);
+  // Nobody to pay: everyone is refunded
+  assert.equal(call(lobby({ status: 'completed', raceResults: [raceResults[1]] })), 'cancelRace');
+});
+
+test('nextCall: a cancelled lobby is refunded', () => {
+  assert.deepEqual(escrow.nextCall(lobby({ status: 'cancelled' })), { name: 'cancelRace', args: [escrow.raceKeyFor('lobby-1')] });
+});
+
+test('nextCall: nothing once the call is confirmed or given up', () => {
+  for (const status of ['confirmed', 'failed']) {
+    const state = escrow.withCall(lobby(), 'createRace', { status });
+    assert.equal(escrow.nextCall(lobby({ escrow: state })), null);
+  }
+  const retrying = escrow.withCall(lobby(), 'createRace', { status: 'retrying' });
+  assert.equal(call(lobby({ escrow: retrying })), 'createRace');
+  // createRace settled, the lobby moves on to its payout
+  const created = escrow.withCall(lobby(), 'createRace', { status: 'confirmed' });
+  assert.equal(call(lobby({ status: 'cancelled', escrow: created })), 'cancelRace');
+});
+
+test('isDone: the contract\'s race state shows which calls went through', () => {
+  const state = (isActive, isPaidOut) => ({ isActive, isPaidOut });
+  assert.equal(escrow.isDone('createRace', state(false, false)), false);
+  assert.equal(escrow.isDone('createRace', state(true, false)), true);
+  assert.equal(escrow.isDone('createRace', state(false, true)), true);
+  assert.equal(escrow.isDone('cancelRace', state(true, false)), false);
+  assert.equal(escrow.isDone('cancelRace', state(false, false)), true);
+  assert.equal(escrow.isDone('distributePrizes', state(true, false)), false);
+  assert.equal(escrow.isDone('distributePrizes', state(false, true)), true);
+  // Neither active nor paid out: prizes can't be distributed
+  assert.throws(() => escrow.isDone('distributePrizes', state(false, false)), /not active/);
+});
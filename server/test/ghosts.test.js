@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ghosts = require('../ghosts');
+const persistence = require('../persistence');
+
+// 500m in 100 s at a steady 2 m/s
+const TRACE = [
+  { t: 0, distance: 0, pace: 125, watts: 180 },
+  { t: 50000, distance: 250, pace: 100, watts: 200 },
+  { t: 100000, distance: 500, pace: 100, watts: 200 }
+];
+
+function race(elapsedMs, extra = {}, equipmentType = 'rower') {
+  return {
+    raceType: 'distance',
+    targetDistance: 500,
+    startTime: Date.now() - elapsedMs,
+    finishedCount: 0,
+    participants: [{ id: 'ghost-1', oderId: 'ghost-1', isGhost: true, isBot: true, equipmentType, distance: 0, isFinished: false }],
+    ...extra
+  };
+}
+
+test('resolveGhostSource: an uploaded trace is cleaned up and starts on the line', async () => {
+  const resolved = await ghosts.resolveGhostSource({
+    type: 'trace',
+    samples: [{ t: 2000, distance: 8, pace: 110 }, { t: 'soon', distance: 3 }, { t: 1000, distance: 4, watts: 150 }]
+  });
+  assert.deepEqual(resolved.trace, [
+    { t: 0, distance: 0, pace: 0, watts: 150 },
+    { t: 1000, distance: 4, pace: 0, watts: 150 },
+    { t: 2000, distance: 8, pace: 110, watts: 0 }
+  ]);
+  assert.equal(resolved.displayName, 'Uploaded');
+  assert.equal(resolved.equipmentType, 'rower');
+});
+
+test('resolveGhostSource: unusable sources resolve to null', async () => {
+  assert.equal(await ghosts.resolveGhostSource({ type: 'trace', samples: [{ t: 0, distance: 0 }] }), null);
+  assert.equal(await ghosts.resolveGhostSource({ type: 'pb', userId: 'nobody', distance: 2000 }), null);
+  assert.equal(await ghosts.resolveGhostSource({ type: 'race', raceId: 'missing', oderId: 'u1' }), null);
+  assert.equal(await ghosts.resolveGhostSource({ type: 'other' }), null);
+});
+
+test('timeAtDistance: interpolated between samples, null if never reached', () => {
+  assert.equal(ghosts.timeAtDistance(TRACE, 100), 20000);
+  assert.equal(ghosts.timeAtDistance(TRACE, 500), 100000);
+  assert.equal(ghosts.timeAtDistance(TRACE, 501), null);
+});
+
+test('simulateGhosts: a ghost is where its trace was at the race clock', (t) => {
+  ghosts.storeTrace('ghost-1', TRACE);
+  t.after(() => ghosts.removeTrace('ghost-1'));
+  const r = ghosts.simulateGhosts(race(25000));
+  const [ghost] = r.participants;
+  assert.ok(Math.abs(ghost.distance - 125) < 1);
+  assert.equal(ghost.pace, 100);
+  assert.equal(ghost.isFinished, false);
+});
+
+test('simulateGhosts: a ghost finishes at the time its trace reached the line', (t) => {
+  ghosts.storeTrace('ghost-1', TRACE);
+  t.after(() => ghosts.removeTrace('ghost-1'));
+  const r = ghosts.simulateGhosts(race(120000));
+  const [ghost] = r.participants;
+  assert.equal(ghost.distance, 500);
+  assert.equal(ghost.isFinished, true);
+  assert.equal(ghost.finishTime, 100000);
+  assert.equal(ghost.position, 1);
+});
+
+test('simulateGhosts: a time race stops the ghost at the target duration', (t) => {
+  ghosts.storeTrace('ghost-1', TRACE);
+  t.after(() => ghosts.removeTrace('ghost-1'));
+  const r = ghosts.simulateGhosts(race(90000, { raceType: 'time', targetDuration: 60 }));
+  assert.ok(Math.abs(r.participants[0].distance - 300) < 1e-6);
+  assert.equal(r.participants[0].isFinished, false);
+});
+
+test('simulateGhosts: a removed trace no longer moves its ghost', () => {
+  ghosts.storeTrace('ghost-1', TRACE);
+  ghosts.removeTrace('ghost-1');
+  const r = ghosts.simulateGhosts(race(25000));
+  assert.equal(r.participants[0].distance, 0);
+});
+
+test('simulateGhosts: a bike ghost covers half the rower meters in a normalized race', (t) => {
+  ghosts.storeTrace('ghost-1', TRACE);
+  t.after(() => ghosts.removeTrace('ghost-1'));
+  for (const normalization of ['factor', 'watts']) {
+    const [ghost] = ghosts.simulateGhosts(race(25000, { normalization }, 'bike')).participants;
+    assert.ok(Math.abs(ghost.distance - 62.5) < 0.5);
+    assert.equal(ghost.pace, 200);
+  }
+  // Monitor meters when the race isn't normalized
+  const [ghost] = ghosts.simulateGhosts(race(25000, {}, 'bike')).participants;
+  assert.ok(Math.abs(ghost.distance - 125) < 1);
+});
+
+test('simulateGhosts: a normalized bike ghost finishes when its rower meters reach the line', (t) => {
+  // 1000 bike meters in 200 s
+  ghosts.storeTrace('ghost-1', [{ t: 0, distance: 0, pace: 0, watts: 0 }, { t: 200000, distance: 1000, pace: 100, watts: 200 }]);
+  t.after(() => ghosts.removeTrace('ghost-1'));
+  const halfway = ghosts.simulateGhosts(race(150000, { normalization: 'factor' }, 'bike'));
+  assert.equal(halfway.participants[0].isFinished, false);
+  const done = ghosts.simulateGhosts(race(210000, { normalization: 'factor' }, 'bike'));
+  assert.equal(done.participants[0].isFinished, true);
+  assert.equal(done.participants[0].finishTime, 200000);
+  assert.equal(done.participants[0].distance, 500);
+});
+
+test('resolveGhostSource: a trace from a normalized race goes back to monitor meters', async () => {
+  const recorded = {
+    id: 'race-normalized',
+    lobbyId: 'lobby-normalized',
+    raceType: 'distance',
+    targetDistance: 500,
+    normalization: 'factor',
+    status: 'completed',
+    participants: [{ oderId: 'biker', displayName: 'Biker', equipmentType: 'bike', distance: 500, pace: 100, isFinished: true }]
+  };
+  persistence.syncRaceCompleted(recorded);
+  // Rower meters: 500 of them in 100 s
+  persistence.syncRaceTelemetry(recorded.id, { biker: [{ t: 0, distance: 0, pace: 0, watts: 0 }, { t: 100000, distance: 500, pace: 100, watts: 200 }] });
+  await persistence.outbox.drain();
+
+  const resolved = await ghosts.resolveGhostSource({ type: 'race', raceId: recorded.id, oderId: 'biker' });
+  assert.equal(resolved.equipmentType, 'bike');
+  assert.deepEqual(resolved.trace[1], { t: 100000, distance: 1000, pace: 50, watts: 200 });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const intervals = require('../intervals');
+
+function race(plan, participants = [{ oderId: 'a' }, { oderId: 'b' }]) {
+  const r = {
+    id: 'race-1',
+    finishedCount: 0,
+    participants: participants.map(p => ({ distance: 0, pace: 0, watts: 0, isBot: false, ...p }))
+  };
+  return intervals.initIntervalRace(r, intervals.normalizeIntervalPlan(plan));
+}
+
+function row(r, oderId, distance, now) {
+  const p = r.participants.find(x => x.oderId === oderId);
+  intervals.applyIntervalMetrics(r, p, { distance, pace: 120, watts: 200 }, now);
+  return p;
+}
+
+test('normalizeIntervalPlan: exactly one work target, rest defaults to a minute', () => {
+  assert.deepEqual(intervals.normalizeIntervalPlan({ repeats: '8', workDistance: 500 }), {
+    repeats: 8, workType: 'distance', workDistance: 500, workDuration: null, restDuration: 60
+  });
+  assert.equal(intervals.normalizeIntervalPlan({ repeats: 4, workDuration: 240, restDuration: 0 }).workType, 'time');
+  assert.equal(intervals.normalizeIntervalPlan({ repeats: 4, workDistance: 500, workDuration: 240 }), null);
+  assert.equal(intervals.normalizeIntervalPlan({ repeats: 4 }), null);
+  assert.equal(intervals.normalizeIntervalPlan({ repeats: 0, workDistance: 500 }), null);
+  assert.equal(intervals.normalizeIntervalPlan({ repeats: 4, workDistance: 500, restDuration: -1 }), null);
+});
+
+test('distance reps: rest meters never count, standings by total rep time', () => {
+  const r = race({ repeats: 2, workDistance: 100, restDuration: 60 });
+  intervals.startWorkPhase(r, 0);
+
+  assert.equal(row(r, 'a', 100, 20000).repFinished, true);
+  row(r, 'b', 50, 20000);
+  assert.equal(intervals.tickIntervals(r, 20000), null);
+  row(r, 'b', 110, 25000);
+  assert.equal(intervals.tickIntervals(r, 25000), 'restStarted');
+  assert.deepEqual(intervals.getRepResults(r, 1).map(rep => [rep.oderId, rep.distance, rep.time, rep.position]), [
+    ['a', 100, 20000, 1],
+    ['b', 100, 25000, 2]
+  ]);
+
+  // Rowing on during the rest only moves the baseline
+  const a = row(r, 'a', 130, 50000);
+  assert.equal(a.distance, 100);
+  assert.equal(intervals.tickIntervals(r, 84000), null);
+  assert.equal(intervals.tickIntervals(r, 85000), 'intervalStarted');
+  assert.equal(r.currentInterval, 2);
+  assert.equal(row(r, 'a', 180, 90000).distance, 150);
+
+  row(r, 'a', 230, 100000);
+  row(r, 'b', 210, 110000);
+  assert.equal(intervals.tickIntervals(r, 110000), 'finished');
+  const b = r.participants[1];
+  assert.deepEqual([a.position, a.finishTime, a.distance], [1, 35000, 200]);
+  assert.deepEqual([b.position, b.finishTime, b.distance], [2, 50000, 200]);
+  assert.equal(r.phase, null);
+});
+
+test('time reps: the clock ends the rep, most meters wins, those out are left out', () => {
+  const r = race({ repeats: 1, workDuration: 60, restDuration: 0 }, [{ oderId: 'a' }, { oderId: 'b' }, { oderId: 'c', dnf: true }]);
+  intervals.startWorkPhase(r, 0);
+  row(r, 'a', 150, 30000);
+  row(r, 'b', 240, 59000);
+  assert.equal(intervals.tickIntervals(r, 59999), null);
+  assert.equal(intervals.tickIntervals(r, 60000), 'finished');
+  assert.deepEqual(r.participants.map(p => [p.oderId, p.position, p.finishTime]), [
+    ['a', 2, 60000],
+    ['b', 1, 60000],
+    ['c', undefined, undefined]
+  ]);
+  assert.equal(r.finishedCount, 2);
+});
+
+test('without rest, the next rep starts straight away', () => {
+  const r = race({ repeats: 2, workDistance: 100, restDuration: 0 }, [{ oderId: 'a' }]);
+  intervals.startWorkPhase(r, 0);
+  row(r, 'a', 100, 20000);
+  assert.equal(intervals.tickIntervals(r, 20000), 'intervalStarted');
+  assert.equal(r.phase, 'work');
+  assert.equal(r.participants[0].repStartDistance, 100);
+});
+
+test('simulateIntervalBots: a bot rows the rep at its speed and stops at the target', () => {
+  const configs = { medium: { speedMetersPerSec: 5 } };
+  const timed = race({ repeats: 1, workDuration: 60 }, [{ oderId: 'bot', isBot: true, equipmentType: 'rower' }]);
+  intervals.startWorkPhase(timed, 0);
+  // Past the end of the rep, the bot has only rowed its 60 s
+  const [bot] = intervals.simulateIntervalBots(timed, configs, 70000).participants;
+  assert.ok(bot.intervalDistance > 290 && bot.intervalDistance < 310, `${bot.intervalDistance}m`);
+  assert.equal(bot.rawDistance, bot.intervalDistance);
+  assert.ok(bot.pace > 0 && bot.strokeRate > 0);
+
+  const distance = race({ repeats: 1, workDistance: 100 }, [{ oderId: 'bot', isBot: true, equipmentType: 'rower' }]);
+  intervals.startWorkPhase(distance, 0);
+  const [finisher] = intervals.simulateIntervalBots(distance, configs, 60000).participants;
+  assert.equal(finisher.intervalDistance, 100);
+  assert.equal(finisher.repFinished, true);
+  assert.equal(finisher.distance, 100);
+});
+
+test('simulateIntervalBots: bots stand still during the rest', () => {
+  const r = race({ repeats: 2, workDistance: 100 }, [{ oderId: 'bot', isBot: true }]);
+  intervals.startWorkPhase(r, 0);
+  r.phase = 'rest';
+  intervals.simulateIntervalBots(r, { medium: { speedMetersPerSec: 5 } }, 10000);
+  assert.equal(r.participants[0].intervalDistance, 0);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const matchmaking = require('../matchmaking');
+
+const OPTIONS = { size: 3, fillMs: 30000 };
+
+function ticket(userId, rating, queuedAt = 0, extra = {}) {
+  return { userId, rating, queuedAt, raceDistance: 2000, equipmentType: 'rower', entryFee: '0', ...extra };
+}
+
+const ids = groups => groups.map(group => group.map(t => t.userId));
+
+test('skillWindow: ±100 at first, 10 wider per second waited, at most ±800', () => {
+  assert.equal(matchmaking.skillWindow(ticket('a', 1000, 5000), 5000), 100);
+  assert.equal(matchmaking.skillWindow(ticket('a', 1000, 5000), 15000), 200);
+  assert.equal(matchmaking.skillWindow(ticket('a', 1000, 5000), 500000), 800);
+  // A clock behind the ticket counts as no wait
+  assert.equal(matchmaking.skillWindow(ticket('a', 1000, 5000), 0), 100);
+});
+
+test('findMatches: a full group of close ratings is matched at once', () => {
+  const tickets = [ticket('a', 1000), ticket('b', 1050), ticket('c', 950), ticket('d', 1020)];
+  assert.deepEqual(ids(matchmaking.findMatches(tickets, 0, OPTIONS)), [['a', 'b', 'c']]);
+});
+
+test('findMatches: only the same distance, equipment and entry fee', () => {
+  const tickets = [
+    ticket('a', 1000),
+    ticket('b', 1000, 0, { raceDistance: 5000 }),
+    ticket('c', 1000, 0, { equipmentType: 'bike' }),
+    ticket('d', 1000, 0, { entryFee: '100' })
+  ];
+  assert.deepEqual(matchmaking.findMatches(tickets, 60000, OPTIONS), []);
+});
+
+test('findMatches: a smaller group waits for fillMs before it is matched', () => {
+  const tickets = [ticket('a', 1000), ticket('b', 1000, 10000)];
+  assert.deepEqual(matchmaking.findMatches(tickets, 29999, OPTIONS), []);
+  assert.deepEqual(ids(matchmaking.findMatches(tickets, 30000, OPTIONS)), [['a', 'b']]);
+  // Nobody races alone
+  assert.deepEqual(matchmaking.findMatches([ticket('a', 1000)], 60000, OPTIONS), []);
+});
+
+test('findMatches: waiting widens the window until distant ratings match', () => {
+  const tickets = [ticket('a', 1000), ticket('b', 1300, 0)];
+  assert.deepEqual(matchmaking.findMatches(tickets, 19000, { ...OPTIONS, fillMs: 0 }), []);
+  assert.deepEqual(ids(matchmaking.findMatches(tickets, 20000, { ...OPTIONS, fillMs: 0 })), [['a', 'b']]);
+  // The wider of the two windows counts
+  const fresh = [ticket('a', 1000), ticket('b', 1300, 20000)];
+  assert.deepEqual(ids(matchmaking.findMatches(fresh, 20000, { ...OPTIONS, fillMs: 0 })), [['a', 'b']]);
+});
+
+test('findMatches: everyone in a group is within range of everyone else', () => {
+  // c is close to b but not to a, so it waits for a group of its own
+  const tickets = [ticket('a', 1000), ticket('b', 1090), ticket('c', 1180), ticket('d', 1200)];
+  assert.deepEqual(ids(matchmaking.findMatches(tickets, 0, { size: 2, fillMs: 0 })), [['a', 'b'], ['c', 'd']]);
+});
+
+test('findMatches: the longest-waiting tickets are grouped first', () => {
+  const tickets = [ticket('late', 1000, 5000), ticket('early', 1000, 0), ticket('middle', 1000, 2000)];
+  assert.deepEqual(ids(matchmaking.findMatches(tickets, 5000, { size: 2, fillMs: 60000 })), [['early', 'middle']]);
+});
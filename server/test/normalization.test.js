@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const normalization = require('../normalization');
+const { WATTS_CONSTANT } = require('../antiCheat');
+
+// Watts at which a rower moves at `speed` m/s
+const wattsFor = speed => WATTS_CONSTANT.rower * speed ** 3;
+
+function racer(equipmentType, extra = {}) {
+  return { oderId: equipmentType, equipmentType, distance: 0, rawDistance: 0, ...extra };
+}
+
+test('isNormalized: only the factor and watts modes', () => {
+  assert.equal(normalization.isNormalized({}), false);
+  assert.equal(normalization.isNormalized({ normalization: 'none' }), false);
+  assert.equal(normalization.isNormalized({ normalization: 'factor' }), true);
+  assert.equal(normalization.isNormalized({ normalization: 'watts' }), true);
+});
+
+test('raceFactor: the equipment factor in a normalized race, else 1', () => {
+  assert.equal(normalization.raceFactor({ normalization: 'factor' }, { equipmentType: 'bike' }), 0.5);
+  assert.equal(normalization.raceFactor({ normalization: 'watts' }, { equipmentType: 'ski' }), 1);
+  assert.equal(normalization.raceFactor({ normalization: 'none' }, { equipmentType: 'bike' }), 1);
+  // Unknown equipment counts as a rower
+  assert.equal(normalization.raceFactor({ normalization: 'factor' }, { equipmentType: 'canoe' }), 1);
+});
+
+test('normalizeMetrics: an unnormalized race takes the monitor figures', () => {
+  const p = racer('bike');
+  const metrics = { distance: 100, pace: 60, watts: 300 };
+  assert.equal(normalization.normalizeMetrics({ normalization: 'none' }, p, metrics, 1000), metrics);
+  assert.equal(p.rawPace, undefined);
+});
+
+test('normalizeMetrics: factor mode scales bike meters by half', () => {
+  const p = racer('bike');
+  const figures = normalization.normalizeMetrics({ normalization: 'factor' }, p, { distance: 100, pace: 60, watts: 300 }, 1000);
+  assert.deepEqual(figures, { distance: 50, pace: 120, watts: 300 });
+  assert.equal(p.rawDistance, 100);
+  assert.equal(p.rawPace, 60);
+});
+
+test('normalizeMetrics: watts mode moves at the rower speed for the reported power', () => {
+  const race = { normalization: 'watts', startTime: 0 };
+  const p = racer('rower');
+  const figures = normalization.normalizeMetrics(race, p, { distance: 100, pace: 50, watts: wattsFor(2) }, 10000);
+  assert.ok(Math.abs(figures.distance - 20) < 1e-9);
+  assert.ok(Math.abs(figures.pace - 250) < 1e-9);
+  assert.equal(p.normalizedAt, 10000);
+  assert.equal(p.rawDistance, 100);
+});
+
+test('normalizeMetrics: watts mode is no faster than the monitor\'s meters times the factor', () => {
+  const race = { normalization: 'watts', startTime: 0 };
+  const p = racer('bike', { distance: 40, rawDistance: 70, normalizedAt: 10000 });
+  // 30 bike meters in 10 s is 1.5 rower m/s, however many watts are reported
+  const figures = normalization.normalizeMetrics(race, p, { distance: 100, pace: 50, watts: wattsFor(6) }, 20000);
+  assert.ok(Math.abs(figures.distance - 55) < 1e-9);
+});
+
+test('normalizeMetrics: watts mode stands still without power', () => {
+  const race = { normalization: 'watts', startTime: 0 };
+  const p = racer('rower', { distance: 40 });
+  const figures = normalization.normalizeMetrics(race, p, { distance: 80, pace: 0, watts: 0 }, 10000);
+  assert.equal(figures.distance, 40);
+  assert.equal(figures.pace, 0);
+});
+
+test('updateBotRawFigures: bots and ghosts get monitor figures from their normalized ones', () => {
+  const race = {
+    normalization: 'factor',
+    participants: [
+      { isBot: true, equipmentType: 'bike', distance: 50, pace: 120 },
+      { isBot: true, isGhost: true, equipmentType: 'rower', distance: 30, pace: 110 },
+      { isBot: false, equipmentType: 'bike', distance: 10, pace: 100, rawDistance: 20 }
+    ]
+  };
+  normalization.updateBotRawFigures(race);
+  assert.deepEqual(race.participants.map(p => [p.rawDistance, p.rawPace]), [[100, 60], [30, 110], [20, undefined]]);
+});
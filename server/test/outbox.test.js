@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createOutbox } = require('../outbox');
+
+// The outbox logs every failed attempt; keep the test output readable
+test.beforeEach(() => test.mock.method(console, 'error', () => {}));
+test.afterEach(() => test.mock.restoreAll());
+
+function recorder(fail = () => false) {
+  const applied = [];
+  const apply = async (op, args) => {
+    if (fail(op, args)) throw new Error(`${op} failed`);
+    applied.push([op, ...args]);
+  };
+  return { applied, apply };
+}
+
+test('writes are applied in the order they were queued', async () => {
+  const { applied, apply } = recorder();
+  const outbox = createOutbox(':memory:', apply);
+  outbox.enqueue('a', [1], { key: 'k1' });
+  outbox.enqueue('b', [2], { key: 'k2' });
+  outbox.enqueue('c', [3], { key: 'k3', mode: 'latest' });
+  await outbox.drain();
+  assert.deepEqual(applied, [['a', 1], ['b', 2], ['c', 3]]);
+  assert.deepEqual(outbox.stats(), { pending: 0, failed: 0 });
+});
+
+test('args are copied when queued', async () => {
+  const { applied, apply } = recorder();
+  const outbox = createOutbox(':memory:', apply);
+  const lobby = { id: 'l1', status: 'waiting' };
+  outbox.enqueue('save', [lobby], { key: 'lobby:l1', mode: 'latest' });
+  lobby.status = 'cancelled';
+  await outbox.drain();
+  assert.deepEqual(applied, [['save', { id: 'l1', status: 'waiting' }]]);
+});
+
+test('a once key is applied once, whether queued or already applied', async () => {
+  const { applied, apply } = recorder();
+  const outbox = createOutbox(':memory:', apply);
+  assert.equal(outbox.enqueue('stats', ['first'], { key: 'stats:r1:u1' }), true);
+  assert.equal(outbox.enqueue('stats', ['queued twice'], { key: 'stats:r1:u1' }), false);
+  await outbox.drain();
+  assert.equal(outbox.enqueue('stats', ['after applying'], { key: 'stats:r1:u1' }), false);
+  await outbox.drain();
+  assert.deepEqual(applied, [['stats', 'first']]);
+});
+
+test('a latest write replaces the waiting one for its key, going out after earlier writes', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const applied = [];
+  const outbox = createOutbox(':memory:', async (op, args) => {
+    if (op === 'slow') await gate;
+    applied.push([op, ...args]);
+  });
+  outbox.enqueue('slow', [0], { key: 'slow' });
+  outbox.enqueue('lobby', [1], { key: 'lobby:l1', mode: 'latest' });
+  outbox.enqueue('other', [2], { key: 'other' });
+  outbox.enqueue('lobby', [3], { key: 'lobby:l1', mode: 'latest' });
+  release();
+  await outbox.drain();
+  assert.deepEqual(applied, [['slow', 0], ['other', 2], ['lobby', 3]]);
+});
+
+test('a failed write is retried and holds back the writes behind it', async () => {
+  let failures = 2;
+  const { applied, apply } = recorder(op => op === 'flaky' && failures-- > 0);
+  const outbox = createOutbox(':memory:', apply, { baseDelayMs: 1, maxDelayMs: 5 });
+  outbox.enqueue('flaky', [1], { key: 'k1' });
+  outbox.enqueue('next', [2], { key: 'k2' });
+  await outbox.drain();
+  assert.deepEqual(applied, []);
+  assert.equal(outbox.list()[0].attempts, 1);
+
+  for (let i = 0; i < 50 && applied.length < 2; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await outbox.drain();
+  }
+  assert.deepEqual(applied, [['flaky', 1], ['next', 2]]);
+});
+
+test('after maxAttempts a write is parked as failed, and can be replayed', async () => {
+  let broken = true;
+  const { applied, apply } = recorder(op => op === 'broken' && broken);
+  const outbox = createOutbox(':memory:', apply, { maxAttempts: 1 });
+  outbox.enqueue('broken', [1], { key: 'k1' });
+  outbox.enqueue('fine', [2], { key: 'k2' });
+  await outbox.drain();
+
+  assert.deepEqual(applied, [['fine', 2]]);
+  assert.deepEqual(outbox.stats(), { pending: 0, failed: 1 });
+  const [parked] = outbox.list({ status: 'failed' });
+  assert.equal(parked.lastError, 'broken failed');
+  assert.deepEqual(outbox.get(parked.id).args, [1]);
+
+  broken = false;
+  assert.equal(outbox.replay(parked.id), true);
+  await outbox.drain();
+  assert.deepEqual(applied, [['fine', 2], ['broken', 1]]);
+  assert.equal(outbox.replay(parked.id), false);
+});
+
+test('queued writes survive a restart', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'outbox.db');
+
+  // The first process can't reach its backend and waits a long time to retry
+  const down = createOutbox(file, async () => { throw new Error('backend down'); }, { baseDelayMs: 60000 });
+  down.enqueue('save', [1], { key: 'k1' });
+  down.enqueue('save', [2], { key: 'k2' });
+  await down.drain();
+  assert.equal(down.stats().pending, 2);
+
+  const { applied, apply } = recorder();
+  const restarted = createOutbox(file, apply);
+  await restarted.drain();
+  assert.deepEqual(applied, [['save', 1], ['save', 2]]);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pacing = require('../pacing');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// Speeds without the random variance
+const speedAt = (t, p, progress, extra = {}) => {
+  t.mock.method(Math, 'random', () => 0.5);
+  return pacing.botSpeed(p, 5, { progress, distance: 0, leader: null, ...extra });
+};
+
+test('botSpeed: each profile shapes the speed over the race', (t) => {
+  close(speedAt(t, {}, 0.5), 5);
+  close(speedAt(t, { botPacing: 'fast_start' }, 0), 5.3);
+  close(speedAt(t, { botPacing: 'fast_start' }, 1), 4.7);
+  close(speedAt(t, { botPacing: 'negative_split' }, 0), 4.8);
+  close(speedAt(t, { botPacing: 'negative_split' }, 1), 5.2);
+  close(speedAt(t, { botPacing: 'sprint_finish' }, 0.5), 4.9);
+  close(speedAt(t, { botPacing: 'sprint_finish' }, 1), 5.8);
+  // Progress is kept within the race
+  close(speedAt(t, { botPacing: 'fast_start' }, 2), 4.7);
+});
+
+test('botSpeed: the variance is a few percent either way', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  close(pacing.botSpeed({}, 5, { progress: 0 }), 4.85);
+  t.mock.method(Math, 'random', () => 1);
+  close(pacing.botSpeed({}, 5, { progress: 0 }), 5.15);
+});
+
+test('botSpeed: a rabbit closes on a point just ahead of the leading human', (t) => {
+  const rabbit = { botPacing: 'rabbit' };
+  const leader = { distance: 100, speed: 4 };
+  // 5m behind the target point, closed over 5 s
+  close(speedAt(t, rabbit, 0, { distance: 100, leader }), 5);
+  // Within its difficulty's range
+  close(speedAt(t, rabbit, 0, { distance: 0, leader }), 5.75);
+  close(speedAt(t, rabbit, 0, { distance: 200, leader }), 2.5);
+  // Nobody to chase
+  close(speedAt(t, rabbit, 0), 5);
+});
+
+test('leadingHuman: the furthest human still racing', () => {
+  const participants = [
+    { isBot: true, distance: 300 },
+    { isBot: false, distance: 400, isFinished: true },
+    { isBot: false, distance: 250, dnf: true },
+    { isBot: false, distance: 120, pace: 125 },
+    { isBot: false, distance: 80, pace: 100 }
+  ];
+  assert.deepEqual(pacing.leadingHuman(participants), { distance: 120, speed: 4 });
+  assert.deepEqual(pacing.leadingHuman(participants, p => (p.pace === 100 ? 500 : 0)), { distance: 500, speed: 5 });
+  assert.equal(pacing.leadingHuman(participants.slice(0, 3)), null);
+});
+
+test('strokeData: pace, rower watts and the equipment\'s stroke rate', () => {
+  assert.deepEqual(pacing.strokeData('rower', 4), { pace: 125, watts: 179, strokeRate: 24 });
+  assert.deepEqual(pacing.strokeData('bike', 4), { pace: 125, watts: 179, strokeRate: 73 });
+  assert.deepEqual(pacing.strokeData('ski', 0), { pace: 0, watts: 0, strokeRate: 0 });
+});
+
+test('rowingTime: seconds since the bot last moved, from the start at the earliest', () => {
+  const p = {};
+  assert.equal(pacing.rowingTime(p, 1000, 3000), 2);
+  assert.equal(p.simulatedAt, 3000);
+  assert.equal(pacing.rowingTime(p, 1000, 3500), 0.5);
+  // A new rep starts the clock again
+  assert.equal(pacing.rowingTime(p, 10000, 11000), 1);
+  assert.equal(pacing.rowingTime(p, 10000, 9000), 0);
+});
+
+test('paceBoatPlan: the split from a split, watts or finish time', () => {
+  assert.deepEqual(pacing.paceBoatPlan({ split: 120 }, 2000), { split: 120, splits: [] });
+  close(pacing.paceBoatPlan({ watts: 179.2 }, 2000).split, 125);
+  assert.equal(pacing.paceBoatPlan({ finishTime: 400 }, 2000).split, 100);
+});
+
+test('paceBoatPlan: planned splits still average the target', () => {
+  assert.deepEqual(pacing.paceBoatPlan({ split: 120, splitProfile: [2, 0, -2] }, 1500).splits, [122, 120, 118]);
+  // The last 200m weigh less than a full 500m
+  const { splits } = pacing.paceBoatPlan({ split: 120, splitProfile: [2, 0] }, 700);
+  close((splits[0] * 500 + splits[1] * 200) / 700, 120);
+  // Without a race distance, every segment counts as 500m
+  assert.deepEqual(pacing.paceBoatPlan({ split: 120, splitProfile: [4, 0] }).splits, [122, 118]);
+  assert.equal(pacing.paceBoatPlan({ split: 62, splitProfile: [4, -4] }, 1000), null);
+});
+
+test('pace boats: distance, time and split follow the plan, then the target split', () => {
+  const plan = pacing.paceBoatPlan({ split: 120, splitProfile: [2, 0, -2] }, 2000);
+  close(plan.splits.reduce((sum, split) => sum + split, 0), 360);
+  close(pacing.paceBoatDistance(plan, 61), 250);
+  close(pacing.paceBoatDistance(plan, 420), 1750);
+  close(pacing.paceBoatTime(plan, 250), 61);
+  close(pacing.paceBoatTime(plan, 1750), 420);
+  assert.equal(pacing.paceBoatSplit(plan, 600), plan.splits[1]);
+  assert.equal(pacing.paceBoatSplit(plan, 1600), 120);
+});
+
+test('formatSplit: minutes, seconds and tenths', () => {
+  assert.equal(pacing.formatSplit(112), '1:52.0');
+  assert.equal(pacing.formatSplit(65.44), '1:05.4');
+  assert.equal(pacing.formatSplit(59.96), '1:00.0');
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const payouts = require('../payouts');
+
+// Amounts worked out by hand from RaceEscrow.sol's calculatePayouts and
+// distributePrizes, in wei
+
+const WALLETS = [
+  '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1',
+  '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0',
+  '0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b',
+  '0xE11BA2b4D45Eaed5996Cd0823791E0C93114882d'
+];
+
+function human(i, position, extra = {}) {
+  return { oderId: `u${i}`, walletAddress: WALLETS[i], position, isBot: false, ...extra };
+}
+
+function lobby(participants, extra = {}) {
+  return { id: 'lobby-1', entryFee: '1000000', payoutMode: 'top_three', participants, ...extra };
+}
+
+const amounts = list => list.map(amount => amount.toString());
+
+test('calculatePayouts: winner takes all pays the whole pool', () => {
+  assert.deepEqual(amounts(payouts.calculatePayouts(0, 1900000n, 1)), ['1900000']);
+  assert.deepEqual(amounts(payouts.calculatePayouts(0, 1900000n, 3)), ['1900000']);
+});
+
+test('calculatePayouts: top three splits 60/30/10', () => {
+  assert.deepEqual(amounts(payouts.calculatePayouts(1, 3800000n, 3)), ['2280000', '1140000', '380000']);
+});
+
+test('calculatePayouts: top three with two winners splits third place between them', () => {
+  assert.deepEqual(amounts(payouts.calculatePayouts(1, 3800000n, 2)), ['2470000', '1330000', '0']);
+});
+
+test('calculatePayouts: top three with one winner pays first everything it can', () => {
+  assert.deepEqual(amounts(payouts.calculatePayouts(1, 3800000n, 1)), ['3800000', '0', '0']);
+});
+
+test('calculatePayouts: integer division leaves the remainder in the contract', () => {
+  const paid = payouts.calculatePayouts(1, 1001n, 3);
+  assert.deepEqual(amounts(paid), ['600', '300', '100']);
+  const odd = payouts.calculatePayouts(1, 1019n, 2);
+  // 611 + 305 + 101, with 101 / 2 = 50 going to each of the first two
+  assert.deepEqual(amounts(odd), ['661', '355', '0']);
+  assert.ok(odd.reduce((sum, amount) => sum + amount, 0n) <= 1019n);
+});
+
+test('racePayouts: free lobbies pay nothing', () => {
+  assert.equal(payouts.racePayouts(lobby([human(0, 1)], { entryFee: '0' }), [human(0, 1)]), null);
+});
+
+test('racePayouts: the fee comes off the pool before the split', () => {
+  const racers = [human(0, 2), human(1, 1)];
+  const result = payouts.racePayouts(lobby(racers, { payoutMode: 'winner_takes_all' }), racers);
+  // 2 x 1000000 less 5%
+  assert.equal(result.get('u1'), '1900000');
+  assert.equal(result.get('u0'), '0');
+});
+
+test('racePayouts: bots, disqualified racers and racers without a wallet are skipped', () => {
+  const racers = [
+    { oderId: 'bot-1', isBot: true, position: 1, walletAddress: WALLETS[3] },
+    human(0, 2, { disqualified: true }),
+    human(1, 3, { walletAddress: '' }),
+    human(2, 4)
+  ];
+  const result = payouts.racePayouts(lobby(racers), racers, 0);
+  // Three humans paid in, one winner left: the whole 3000000 pool
+  assert.equal(result.get('u2'), '3000000');
+  for (const oderId of ['bot-1', 'u0', 'u1']) assert.equal(result.get(oderId), '0');
+});
+
+test('payoutPreview: counts places as if every human places until the race is done', () => {
+  const preview = payouts.payoutPreview(lobby([human(0), human(1)]), 1000);
+  assert.equal(preview.totalPool, '2000000');
+  assert.equal(preview.platformFee, '200000');
+  assert.equal(preview.prizePool, '1800000');
+  assert.equal(preview.final, false);
+  assert.deepEqual(preview.payouts, [
+    { position: 1, amount: '1170000' },
+    { position: 2, amount: '630000' }
+  ]);
+});
+
+test('payoutPreview: names the winners once the lobby has results', () => {
+  const racers = [human(0, 2), human(1, 1), human(2, 3)];
+  const preview = payouts.payoutPreview(lobby(racers, { raceResults: racers }));
+  assert.equal(preview.final, true);
+  assert.deepEqual(preview.payouts.map(p => [p.position, p.oderId, p.amount]), [
+    [1, 'u1', '1710000'],
+    [2, 'u0', '855000'],
+    [3, 'u2', '285000']
+  ]);
+});
+
+test('payoutPreview: the pool holds the recorded deposits, not the roster', () => {
+  const deposit = i => ({ oderId: `u${i}`, walletAddress: WALLETS[i], confirmedAt: '2026-01-01T00:00:00.000Z' });
+  // u2 deposited and left, u3 hasn't deposited yet
+  const racers = [human(0), human(1), human(3, undefined, { status: 'pending_deposit' })];
+  const preview = payouts.payoutPreview(lobby(racers, { escrow: { calls: {}, deposits: [deposit(0), deposit(1), deposit(2)] } }), 0);
+  assert.equal(preview.entrants, 3);
+  assert.equal(preview.totalPool, '3000000');
+  assert.equal(preview.payouts.length, 3);
+});
+
+test('racePayouts: a racer who left after depositing still pays into the prizes', () => {
+  const racers = [human(0, 1), human(1, 2)];
+  const deposits = [0, 1, 2].map(i => ({ oderId: `u${i}`, walletAddress: WALLETS[i] }));
+  const result = payouts.racePayouts(lobby(racers, { escrow: { calls: {}, deposits } }), racers, 0);
+  // 3000000 split 60/30 with 3rd's 10% shared between the two winners
+  assert.equal(result.get('u0'), '1950000');
+  assert.equal(result.get('u1'), '1050000');
+});
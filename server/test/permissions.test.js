@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { authorize } = require('../permissions');
+
+const creator = { uid: 'creator', isAdmin: false };
+const racer = { uid: 'racer', isAdmin: false };
+const stranger = { uid: 'stranger', isAdmin: false };
+const admin = { uid: 'admin', isAdmin: true };
+
+const lobby = {
+  creatorId: 'creator',
+  participants: [
+    { oderId: 'creator', status: 'ready' },
+    { oderId: 'racer', status: 'deposited' },
+    { oderId: 'unpaid', status: 'pending_deposit' },
+    { oderId: 'bot-1', isBot: true, status: 'ready' }
+  ]
+};
+const race = { participants: [{ oderId: 'racer' }] };
+
+const code = denial => denial && denial.code;
+
+test('authorize: the lobby creator runs the lobby', () => {
+  for (const action of ['startRace', 'addBot', 'addGhost']) {
+    assert.equal(authorize(action, creator, { lobby }), null);
+    assert.equal(code(authorize(action, racer, { lobby })), 'not_creator');
+    assert.equal(code(authorize(action, admin, { lobby })), 'not_creator');
+  }
+});
+
+test('authorize: an admin may cancel any race', () => {
+  assert.equal(authorize('cancelRace', creator, { lobby }), null);
+  assert.equal(authorize('cancelRace', admin, { lobby }), null);
+  assert.equal(code(authorize('cancelRace', racer, { lobby })), 'not_creator');
+});
+
+test('authorize: ready up only as yourself, in a lobby you joined', () => {
+  assert.equal(authorize('setReady', racer, { lobby, oderId: 'racer' }), null);
+  assert.equal(authorize('setReady', racer, { lobby }), null);
+  assert.equal(code(authorize('setReady', racer, { lobby, oderId: 'creator' })), 'not_self');
+  assert.equal(code(authorize('setReady', stranger, { lobby })), 'not_participant');
+});
+
+test('authorize: the creator removes only bots and racers who haven\'t paid', () => {
+  assert.equal(authorize('leaveLobby', racer, { lobby, oderId: 'racer' }), null);
+  assert.equal(authorize('leaveLobby', creator, { lobby, oderId: 'bot-1' }), null);
+  assert.equal(authorize('leaveLobby', creator, { lobby, oderId: 'unpaid' }), null);
+  assert.equal(code(authorize('leaveLobby', creator, { lobby, oderId: 'racer' })), 'not_self');
+  assert.equal(code(authorize('leaveLobby', racer, { lobby, oderId: 'bot-1' })), 'not_self');
+  assert.equal(code(authorize('leaveLobby', creator, { lobby, oderId: 'nobody' })), 'not_self');
+});
+
+test('authorize: metrics only for yourself, in your own race', () => {
+  assert.equal(authorize('raceUpdate', racer, { race, oderId: 'racer' }), null);
+  assert.equal(code(authorize('raceUpdate', racer, { race, oderId: 'creator' })), 'not_self');
+  assert.equal(code(authorize('raceUpdate', creator, { race })), 'not_participant');
+});
+
+test('authorize: server operations are for admins', () => {
+  assert.equal(authorize('manageOutbox', admin, {}), null);
+  assert.equal(code(authorize('manageOutbox', creator, {})), 'not_admin');
+});
+
+test('authorize: a missing target or an unknown action is denied', () => {
+  assert.deepEqual(authorize('startRace', creator, {}), { code: 'lobby_not_found', message: 'Lobby not found' });
+  assert.deepEqual(authorize('raceUpdate', racer, { oderId: 'racer' }), { code: 'race_not_found', message: 'Race not found' });
+  assert.equal(code(authorize('deleteEverything', admin, {})), 'unknown_action');
+});
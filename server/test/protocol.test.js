@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const protocol = require('../protocol');
+
+const WALLET = '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1';
+
+test('validate: a valid payload passes', () => {
+  assert.equal(protocol.validate('createLobby', { raceDistance: 2000, entryFee: '1000' }), null);
+  assert.equal(protocol.validate('joinLobby', {
+    lobbyId: 'l1',
+    participant: { displayName: 'Racer', walletAddress: WALLET, equipmentType: 'ski' }
+  }), null);
+});
+
+test('validate: a failure names the offending path', () => {
+  const result = protocol.validate('createLobby', { raceDistance: -5 });
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'validation_error');
+  assert.deepEqual(result.error.details.map(d => d.path), ['/raceDistance']);
+  assert.match(result.error.message, /^Invalid payload: \/raceDistance /);
+});
+
+test('validate: events and routes without a schema take anything', () => {
+  assert.equal(protocol.validate('POST /api/lobby/:id/start', { anything: true }), null);
+  assert.equal(protocol.validate('getLobbies', undefined), null);
+  assert.equal(protocol.validate('noSuchEvent', 42), null);
+});
+
+test('validate: each race type needs its own target', () => {
+  assert.notEqual(protocol.validate('createLobby', { raceType: 'time' }), null);
+  assert.equal(protocol.validate('createLobby', { raceType: 'time', targetDuration: 600 }), null);
+  assert.notEqual(protocol.validate('createLobby', {}), null);
+  const interval = { raceType: 'interval', intervalPlan: { repeats: 4, workDistance: 500, restDuration: 60 } };
+  assert.equal(protocol.validate('createLobby', interval), null);
+  assert.notEqual(protocol.validate('createLobby', { ...interval, normalization: 'watts' }), null);
+  // Work by distance or by time, not both
+  const both = { raceType: 'interval', intervalPlan: { repeats: 4, workDistance: 500, workDuration: 60 } };
+  assert.notEqual(protocol.validate('createLobby', both), null);
+});
+
+test('validate: a participant has only the fields a racer may set', () => {
+  const join = participant => protocol.validate('POST /api/lobby/:id/join', participant);
+  assert.equal(join({ displayName: 'Racer', id: 'u1', oderId: 'u1' }), null);
+  for (const field of [{ isBot: true }, { botDifficulty: 'elite' }, { status: 'deposited' }]) {
+    assert.equal(join({ displayName: 'Racer', ...field }).error.code, 'validation_error');
+  }
+  assert.notEqual(join({ displayName: '' }), null);
+  assert.notEqual(join({ displayName: 'Racer', equipmentType: 'kayak' }), null);
+});
+
+test('validate: a wallet address is an address or empty', () => {
+  const join = walletAddress => protocol.validate('POST /api/lobby/:id/join', { displayName: 'Racer', walletAddress });
+  assert.equal(join(WALLET), null);
+  assert.equal(join(''), null);
+  assert.notEqual(join('0x123'), null);
+});
+
+test('validate: a pace boat has exactly one target', () => {
+  const addBot = paceBoat => protocol.validate('addBot', { lobbyId: 'l1', paceBoat });
+  assert.equal(addBot({ split: 120 }), null);
+  assert.equal(addBot({ finishTime: 400, splitProfile: [2, 0, -2] }), null);
+  assert.notEqual(addBot({ split: 120, watts: 200 }), null);
+  assert.notEqual(addBot({}), null);
+  assert.notEqual(addBot({ split: 30 }), null);
+});
+
+test('validate: a ghost comes from one kind of source', () => {
+  const addGhost = source => protocol.validate('addGhost', { lobbyId: 'l1', source });
+  assert.equal(addGhost({ type: 'pb', userId: 'u1', distance: 2000 }), null);
+  assert.equal(addGhost({ type: 'race', raceId: 'r1', oderId: 'u1' }), null);
+  assert.notEqual(addGhost({ type: 'trace', samples: [{ t: 0, distance: 0 }] }), null);
+  assert.notEqual(addGhost({ type: 'pb', userId: 'u1' }), null);
+});
+
+test('httpStatus: codes map to their status, unknown ones to 400', () => {
+  assert.equal(protocol.httpStatus('not_creator'), 403);
+  assert.equal(protocol.httpStatus('race_not_found'), 404);
+  assert.equal(protocol.httpStatus('something_else'), 400);
+});
+
+test('spectatorAllowed: only the read-only events', () => {
+  assert.equal(protocol.spectatorAllowed('resyncRace'), true);
+  assert.equal(protocol.spectatorAllowed('raceUpdate'), false);
+  assert.equal(protocol.spectatorAllowed('noSuchEvent'), false);
+});
+
+test('buildProtocolSpec: lists every event and route with its schema', () => {
+  const spec = protocol.buildProtocolSpec();
+  assert.equal(spec.socket.clientToServer.joinLobby.payload.properties.participant.additionalProperties, false);
+  assert.equal(spec.socket.clientToServer.raceUpdateBinary.payload, null);
+  assert.equal(spec.rest['POST /api/lobby'].body.required, undefined);
+  assert.equal(spec.errors.validation_error, 400);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rating = require('../rating');
+
+function race(participants) {
+  return { id: 'race-1', participants };
+}
+
+test('currentRating: new users start at the default rating', () => {
+  assert.equal(rating.currentRating(null), rating.DEFAULT_RATING);
+  assert.equal(rating.currentRating({}), rating.DEFAULT_RATING);
+  assert.equal(rating.currentRating({ skillRating: 1620 }), 1620);
+});
+
+test('rateRace: evenly rated racers trade K/2 points', () => {
+  const changes = rating.rateRace(race([
+    { oderId: 'a', position: 1 },
+    { oderId: 'b', position: 2 }
+  ]), new Map());
+  assert.deepEqual(changes.get('a'), { rating: 1516, change: 16 });
+  assert.deepEqual(changes.get('b'), { rating: 1484, change: -16 });
+});
+
+test('rateRace: beating a stronger racer gains more than beating a weaker one', () => {
+  const ratings = new Map([['a', 1500], ['b', 1700]]);
+  const upset = rating.rateRace(race([{ oderId: 'a', position: 1 }, { oderId: 'b', position: 2 }]), ratings);
+  const expected = rating.rateRace(race([{ oderId: 'a', position: 2 }, { oderId: 'b', position: 1 }]), ratings);
+  assert.ok(upset.get('a').change > 16);
+  assert.ok(expected.get('b').change < 16);
+  assert.equal(upset.get('a').change, -upset.get('b').change);
+});
+
+test('rateRace: bots are opponents at their fixed rating and are not rated', () => {
+  const changes = rating.rateRace(race([
+    { oderId: 'a', position: 1 },
+    { oderId: 'bot-1', isBot: true, botDifficulty: 'elite', position: 2 }
+  ]), new Map());
+  assert.equal(changes.has('bot-1'), false);
+  // Beating a 2000 bot from 1500: 32 * (1 - 0.053)
+  assert.equal(changes.get('a').change, 30);
+});
+
+test('rateRace: ghosts and pace boats are not opponents', () => {
+  const changes = rating.rateRace(race([
+    { oderId: 'a', position: 2 },
+    { oderId: 'ghost-1', isBot: true, isGhost: true, position: 1 },
+    { oderId: 'bot-pace', isBot: true, paceBoat: { split: 100 }, position: 3 }
+  ]), new Map());
+  assert.equal(changes.size, 0);
+});
+
+test('rateRace: a DNF places behind finishers and ahead of disqualified racers', () => {
+  const changes = rating.rateRace(race([
+    { oderId: 'finisher', position: 1 },
+    { oderId: 'dnf', dnf: true },
+    { oderId: 'dq', disqualified: true, position: 2 }
+  ]), new Map());
+  assert.equal(changes.get('dnf').change, 0);
+  assert.ok(changes.get('finisher').change > 0);
+  assert.ok(changes.get('dq').change < 0);
+});
+
+test('rateRace: racers placed alike tie', () => {
+  const changes = rating.rateRace(race([{ oderId: 'a', dnf: true }, { oderId: 'b', dnf: true }]), new Map());
+  assert.equal(changes.get('a').change, 0);
+  assert.equal(changes.get('b').change, 0);
+});
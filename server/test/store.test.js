@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RedisMock = require('ioredis-mock');
+const { createMemoryStore, createRedisStore } = require('../store');
+
+const FINISHED_RACE_TTL_MS = 30;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const redis = new RedisMock();
+
+const BACKENDS = {
+  memory: async () => createMemoryStore({ finishedRaceTtlMs: FINISHED_RACE_TTL_MS }),
+  redis: async () => {
+    await redis.flushall();
+    return createRedisStore(redis, 'test:', { finishedRaceTtlMs: FINISHED_RACE_TTL_MS });
+  }
+};
+
+function race(id, status, raceKey) {
+  return { id, lobbyId: `lobby-${id}`, status, raceKey, participants: [] };
+}
+
+for (const [backend, createStore] of Object.entries(BACKENDS)) {
+  test(`${backend}: documents are saved as copies`, async () => {
+    const store = await createStore();
+    const lobby = { id: 'l1', status: 'waiting', participants: [] };
+    await store.saveLobby(lobby);
+    lobby.status = 'cancelled';
+    const saved = await store.getLobby('l1');
+    assert.equal(saved.status, 'waiting');
+    saved.participants.push({ oderId: 'a' });
+    assert.deepEqual((await store.getLobby('l1')).participants, []);
+    assert.equal(await store.getLobby('missing'), null);
+  });
+
+  test(`${backend}: lobbies and traces are listed and deleted`, async () => {
+    const store = await createStore();
+    await store.saveLobby({ id: 'l1' });
+    await store.saveLobby({ id: 'l2' });
+    await store.deleteLobby('l1');
+    assert.deepEqual((await store.listLobbies()).map(l => l.id), ['l2']);
+
+    await store.saveGhostTrace('g1', [{ t: 0, distance: 0 }]);
+    assert.deepEqual(await store.getGhostTrace('g1'), [{ t: 0, distance: 0 }]);
+    await store.deleteGhostTrace('g1');
+    assert.equal(await store.getGhostTrace('g1'), null);
+  });
+
+  test(`${backend}: a user has one ticket, replaced when they queue again`, async () => {
+    const store = await createStore();
+    await store.saveTicket({ userId: 'u1', raceDistance: 500 });
+    await store.saveTicket({ userId: 'u1', raceDistance: 1000 });
+    await store.saveTicket({ userId: 'u2', raceDistance: 500 });
+    assert.deepEqual((await store.getTicket('u1')).raceDistance, 1000);
+    assert.equal((await store.listTickets()).length, 2);
+    await store.deleteTicket('u1');
+    assert.equal(await store.getTicket('u1'), null);
+    assert.deepEqual((await store.listTickets()).map(t => t.userId), ['u2']);
+  });
+
+  test(`${backend}: a lobby saved with expireMs is dropped after it`, async () => {
+    const store = await createStore();
+    await store.saveLobby({ id: 'closed', status: 'completed' }, { expireMs: 20 });
+    await store.saveLobby({ id: 'open', status: 'waiting' });
+    assert.equal((await store.getLobby('closed')).status, 'completed');
+    await sleep(40);
+    assert.equal(await store.getLobby('closed'), null);
+    assert.deepEqual((await store.listLobbies()).map(l => l.id), ['open']);
+  });
+
+  test(`${backend}: saving a lobby again without expireMs keeps it`, async () => {
+    const store = await createStore();
+    await store.saveLobby({ id: 'l1', status: 'completed' }, { expireMs: 20 });
+    await store.saveLobby({ id: 'l1', status: 'waiting' });
+    await sleep(40);
+    assert.equal((await store.getLobby('l1')).status, 'waiting');
+  });
+
+  test(`${backend}: running races are indexed`, async () => {
+    const store = await createStore();
+    await store.saveRace(race('r1', 'active', 11));
+    await store.saveRace(race('r2', 'racing', 22));
+    await store.saveRace(race('r3', 'completed', 33));
+
+    const active = (await store.listActiveRaces()).map(r => r.id).sort();
+    assert.deepEqual(active, ['r1', 'r2']);
+  });
+
+  test(`${backend}: a finished race leaves the index and expires`, async () => {
+    const store = await createStore();
+    await store.saveRace(race('r1', 'racing', 11));
+    await store.saveRace(race('r1', 'completed', 11));
+
+    assert.deepEqual(await store.listActiveRaces(), []);
+    // Still there for late readers
+    assert.equal((await store.getRace('r1')).status, 'completed');
+    await sleep(FINISHED_RACE_TTL_MS + 20);
+    assert.equal(await store.getRace('r1'), null);
+  });
+
+  test(`${backend}: running races are found by raceKey`, async () => {
+    const store = await createStore();
+    await store.saveRace(race('r1', 'active', 11));
+    await store.saveRace(race('r2', 'racing', 22));
+    await store.saveRace(race('r3', 'completed', 33));
+
+    assert.equal((await store.findRaceByKey(22)).id, 'r2');
+    assert.equal(await store.findRaceByKey(33), null);
+    assert.equal(await store.findRaceByKey(44), null);
+
+    await store.saveRace(race('r2', 'completed', 22));
+    assert.equal(await store.findRaceByKey(22), null);
+  });
+
+  test(`${backend}: a finished race leaves a reused raceKey to the race that took it`, async () => {
+    const store = await createStore();
+    await store.saveRace(race('old', 'racing', 7));
+    await store.saveRace(race('new', 'active', 7));
+    await store.saveRace(race('old', 'completed', 7));
+    assert.equal((await store.findRaceByKey(7)).id, 'new');
+  });
+
+  test(`${backend}: race commands are taken in order, once`, async () => {
+    const store = await createStore();
+    await store.pushRaceCommand('r1', { type: 'metrics', n: 1 });
+    await store.pushRaceCommand('r1', { type: 'metrics', n: 2 });
+    await store.pushRaceCommand('r2', { type: 'leave' });
+
+    assert.deepEqual((await store.takeRaceCommands('r1')).map(c => c.n), [1, 2]);
+    assert.deepEqual(await store.takeRaceCommands('r1'), []);
+    await store.pushRaceCommand('r1', { type: 'metrics', n: 3 });
+    assert.deepEqual((await store.takeRaceCommands('r1')).map(c => c.n), [3]);
+    assert.deepEqual(await store.takeRaceCommands('r2'), [{ type: 'leave' }]);
+  });
+
+  test(`${backend}: a lease is held by one owner until released or expired`, async () => {
+    const store = await createStore();
+    assert.equal(await store.acquireLease('race:r1', 'a', 50), true);
+    assert.equal(await store.acquireLease('race:r1', 'b', 50), false);
+    assert.equal(await store.leaseHolder('race:r1'), 'a');
+
+    // Renewing our own lease
+    assert.equal(await store.acquireLease('race:r1', 'a', 50), true);
+
+    // Only the holder can release it
+    await store.releaseLease('race:r1', 'b');
+    assert.equal(await store.leaseHolder('race:r1'), 'a');
+    await store.releaseLease('race:r1', 'a');
+    assert.equal(await store.leaseHolder('race:r1'), null);
+
+    assert.equal(await store.acquireLease('race:r1', 'b', 20), true);
+    await sleep(40);
+    assert.equal(await store.leaseHolder('race:r1'), null);
+    assert.equal(await store.acquireLease('race:r1', 'a', 50), true);
+  });
+
+  test(`${backend}: withLock runs one caller at a time`, async () => {
+    const store = await createStore();
+    await store.saveLobby({ id: 'l1', count: 0 });
+    const increment = () => store.withLock('lobby:l1', async () => {
+      const lobby = await store.getLobby('l1');
+      await sleep(2);
+      lobby.count++;
+      await store.saveLobby(lobby);
+      return lobby.count;
+    });
+
+    const results = await Promise.all([increment(), increment(), increment(), increment()]);
+    assert.deepEqual(results.sort(), [1, 2, 3, 4]);
+    assert.equal((await store.getLobby('l1')).count, 4);
+  });
+
+  test(`${backend}: withLock passes on errors and releases the lock`, async () => {
+    const store = await createStore();
+    await assert.rejects(store.withLock('l', async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await store.withLock('l', async () => 'next'), 'next');
+  });
+}
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const telemetry = require('../telemetry');
+
+let raceCount = 0;
+
+function race(startedMsAgo = 10000) {
+  raceCount++;
+  return {
+    id: `race-${raceCount}`,
+    lobbyId: 'lobby-1',
+    targetDistance: 500,
+    startTime: Date.now() - startedMsAgo,
+    participants: [
+      { oderId: 'a', displayName: 'A', equipmentType: 'rower', distance: 0, pace: 0, watts: 0, finishTime: null },
+      { oderId: 'bot', displayName: 'Bot', isBot: true, distance: 0, pace: 0, watts: 0, finishTime: null }
+    ]
+  };
+}
+
+const samples = count => Array.from({ length: count }, (_, i) => ({ t: i * 100, distance: i }));
+
+test('recordSample: samples are taken at race time, at most every 250 ms', (t) => {
+  const r = race();
+  t.after(() => telemetry.discardTimeline(r.id));
+  const [a] = r.participants;
+  const start = r.startTime;
+  telemetry.recordSample(r, a, start + 1000);
+  a.distance = 3;
+  telemetry.recordSample(r, a, start + 1100);
+  telemetry.recordSample(r, a, start + 1300);
+  assert.deepEqual(telemetry.getTimeline(r.id).a.map(s => [s.t, s.distance]), [[1000, 0], [1300, 3]]);
+});
+
+test('recordSample: nothing is recorded before the start', () => {
+  const r = { ...race(), startTime: null };
+  telemetry.recordSample(r, r.participants[0]);
+  assert.equal(telemetry.getTimeline(r.id), null);
+});
+
+test('recordBotSamples: only bots still rowing', (t) => {
+  const r = race();
+  t.after(() => telemetry.discardTimeline(r.id));
+  telemetry.recordBotSamples(r);
+  assert.deepEqual(Object.keys(telemetry.getTimeline(r.id)), ['bot']);
+});
+
+test('recordFinalSamples: each replay ends where its racer stopped', (t) => {
+  const r = race();
+  t.after(() => telemetry.discardTimeline(r.id));
+  Object.assign(r.participants[0], { distance: 500, finishTime: 95000, pace: 95, watts: 410 });
+  telemetry.recordFinalSamples(r);
+  const timeline = telemetry.getTimeline(r.id);
+  assert.deepEqual(timeline.a, [{ t: 95000, distance: 500, pace: 95, watts: 410 }]);
+  assert.equal(timeline.bot.length, 1);
+});
+
+test('downsample: one sample per interval bucket, keeping the first', () => {
+  const result = telemetry.downsample(samples(25), { interval: 1000 });
+  assert.deepEqual(result.map(s => s.t), [0, 900, 1900, 2400]);
+});
+
+test('downsample: thinned evenly to maxPoints, first and last kept', () => {
+  const result = telemetry.downsample(samples(101), { maxPoints: 5 });
+  assert.deepEqual(result.map(s => s.t), [0, 2500, 5000, 7500, 10000]);
+});
+
+test('downsample: without options, or with room to spare, every sample', () => {
+  assert.equal(telemetry.downsample(samples(10)).length, 10);
+  assert.equal(telemetry.downsample(samples(10), { maxPoints: 20 }).length, 10);
+  assert.deepEqual(telemetry.downsample([], { interval: 500, maxPoints: 2 }), []);
+});
+
+test('buildReplay: every participant with their samples, downsampled', () => {
+  const r = race();
+  const replay = telemetry.buildReplay(r, { a: samples(101) }, { maxPoints: 3 });
+  assert.equal(replay.raceId, r.id);
+  assert.equal(replay.raceType, 'distance');
+  assert.deepEqual(replay.participants.map(p => [p.oderId, p.isBot, p.samples.length]), [['a', false, 3], ['bot', true, 0]]);
+});
+
+test('buildReplay: a race resumed mid-race replays as incomplete', () => {
+  assert.equal(telemetry.buildReplay(race(), {}).complete, true);
+  assert.equal(telemetry.buildReplay({ ...race(), telemetryIncomplete: true }, {}).complete, false);
+});